@@ -0,0 +1,171 @@
+/**
+ * Normalizer factories for use with propertize normalized properties.  Every
+ * normalizer is called with the new and old property values and returns the
+ * value to use.
+ */
+
+/**
+ * Resolve the value used when a normalizer cannot convert a value.  A fallback
+ * of "keep" keeps the old value; any other fallback is used as is.
+ * @param {object} options
+ * @param {*} converted
+ * @param {*} oldval
+ * @returns {*}
+ */
+function fallback(options, converted, oldval) {
+    if (!options || !("fallback" in options)) return converted;
+    return options.fallback === "keep" ? oldval : options.fallback;
+}
+
+/**
+ * Convert a finite number or a whole numeric string to a number.  Anything
+ * else, including strings with trailing text and infinite numbers, becomes NaN.
+ * @param {*} val
+ * @returns {number}
+ */
+function toNumber(val) {
+    var numVal = typeof val === "number" ? val
+        : typeof val === "string" && val.trim() ? Number(val)
+        : NaN;
+
+    return isFinite(numVal) ? numVal : NaN;
+}
+
+/**
+ * Create a normalizer which converts numbers and numeric strings to integers,
+ * dropping any fraction.  Other values, including strings with trailing text
+ * and infinite numbers, become NaN unless a fallback option is provided.
+ * @param {object} [options]
+ * @returns {function}
+ */
+function int(options) {
+    return function(val, oldval) {
+        var intVal = Math.trunc(toNumber(val));
+        return isNaN(intVal) ? fallback(options, intVal, oldval) : intVal;
+    };
+}
+
+/**
+ * Create a normalizer which converts numbers and numeric strings to numbers.
+ * Other values, including strings with trailing text and infinite numbers,
+ * become NaN unless a fallback option is provided.
+ * @param {object} [options]
+ * @returns {function}
+ */
+function number(options) {
+    return function(val, oldval) {
+        var numVal = toNumber(val);
+        return isNaN(numVal) ? fallback(options, numVal, oldval) : numVal;
+    };
+}
+
+/**
+ * Create a normalizer which converts values to strings.  Null and undefined
+ * are left as is.
+ * @returns {function}
+ */
+function string() {
+    return function(val) {
+        return val == null ? val : String(val);
+    };
+}
+
+/**
+ * Create a normalizer which converts values to booleans.
+ * @returns {function}
+ */
+function boolean() {
+    return function(val) {
+        return !!val;
+    };
+}
+
+/**
+ * Create a normalizer which trims whitespace from strings.
+ * @returns {function}
+ */
+function trim() {
+    return function(val) {
+        return typeof val === "string" ? val.trim() : val;
+    };
+}
+
+/**
+ * Create a normalizer which converts strings to lower case.
+ * @returns {function}
+ */
+function lowercase() {
+    return function(val) {
+        return typeof val === "string" ? val.toLowerCase() : val;
+    };
+}
+
+/**
+ * Create a normalizer which converts strings to upper case.
+ * @returns {function}
+ */
+function uppercase() {
+    return function(val) {
+        return typeof val === "string" ? val.toUpperCase() : val;
+    };
+}
+
+/**
+ * Create a normalizer which limits numbers to an inclusive range.  Either bound
+ * may be null or undefined to leave that end of the range open.
+ * @param {number} [min]
+ * @param {number} [max]
+ * @returns {function}
+ */
+function clamp(min, max) {
+    return function(val) {
+        if (typeof val !== "number") return val;
+        if (min != null && val < min) return min;
+        if (max != null && val > max) return max;
+        return val;
+    };
+}
+
+/**
+ * Create a normalizer which replaces null or undefined with a default value.
+ * @param {*} defaultVal
+ * @returns {function}
+ */
+function defaults(defaultVal) {
+    return function(val) {
+        return val == null ? defaultVal : val;
+    };
+}
+
+/**
+ * Create a normalizer which passes values through several normalizers in
+ * order.
+ * @param {...function} normalizers
+ * @returns {function}
+ */
+function chain() {
+    var normalizers = Array.prototype.slice.call(arguments);
+
+    return function(val, oldval) {
+        var obj = this;
+
+        return normalizers.reduce(function(val, normalize) {
+            return normalize.call(obj, val, oldval);
+        }, val);
+    };
+}
+
+/** export normalizer factories */
+module.exports = {
+    int: int,
+    number: number,
+    string: string,
+    boolean: boolean,
+    trim: trim,
+    lowercase: lowercase,
+    uppercase: uppercase,
+    clamp: clamp,
+    defaults: defaults,
+
+    chain: chain
+};
@@ -1,3 +1,67 @@
+var normalizers = require("./normalizers"),
+    validators = require("./validators");
+
+/** pipelines, keyed by the setter defined for them */
+var pipelines = new WeakMap();
+
+/** observer listeners, keyed by the pipeline they observe */
+var observers = new WeakMap();
+
+/** tagged accessors such as derived, keyed by the object they're defined on */
+var accessors = new WeakMap();
+
+/** computed property caches, keyed by the getter defined for them */
+var computedCaches = new WeakMap();
+
+/** pipeline step functions wrapped by propertize, keyed by their wrappers */
+var wrappedSteps = new WeakMap();
+
+/** value returned by a normalize step to veto an update */
+var vetoed = {};
+
+/** decorator contexts created by legacy, mapped to the prototype decorated */
+var legacyContexts = new WeakMap();
+
+/** tags for getters returned by decorators, keyed by the getter */
+var decoratedGetters = new WeakMap();
+
+/** methods bound by delegate, keyed by the object and then the function */
+var boundMethods = new WeakMap();
+
+/** change notifications held until the current batch ends, if any */
+var pending = null;
+
+/** preset kinds, keyed by configurable, enumerable, and writable flags */
+var presets = {
+    "111": "basic",
+    "011": "field",
+    "101": "hidden",
+    "110": "readonly",
+    "100": "internal",
+    "010": "attribute",
+    "001": "setting",
+    "000": "locked"
+};
+
+/** preset functions, keyed by preset kind */
+var presetFunctions = {
+    basic: basic,
+    field: field,
+    hidden: hidden,
+    readonly: readonly,
+    internal: internal,
+    attribute: attribute,
+    setting: setting,
+    locked: locked
+};
+
+/** flag updating functions, which shadow their own names with their flags */
+var flagFunctions = {
+    configurable: configurable,
+    enumerable: enumerable,
+    writable: writable
+};
+
 /**
  * Normalize target.
  * @param {object|function} target
@@ -9,16 +73,175 @@ function normalTarget(target) {
         : target;
 }
 
+/**
+ * Return the own property names and symbols of an object.
+ * @param {object} obj
+ * @returns {Array}
+ */
+function ownKeys(obj) {
+    return Object.getOwnPropertyNames(obj)
+        .concat(Object.getOwnPropertySymbols(obj));
+}
+
+/**
+ * Return the configurable, enumerable, and writable flags of a preset kind as a
+ * string of ones and zeros.
+ * @param {string} kind
+ * @returns {string}
+ */
+function presetFlags(kind) {
+    return Object.keys(presets).filter(function(flags) {
+        return presets[flags] === kind;
+    })[0];
+}
+
+/**
+ * Check whether a property argument lists many properties, either as an array
+ * of property names or an object mapping property names to values.
+ * @param {*} prop
+ * @returns {boolean}
+ */
+function isBulk(prop) {
+    return typeof prop === "object" && prop !== null;
+}
+
+/**
+ * Apply a propertize function to many properties.  The property argument may be
+ * an array of property names, which are passed along with any other arguments,
+ * or an object mapping property names to values, which are passed as the value
+ * argument ahead of any other arguments.  Returns the list of results.
+ * @param {function} fn
+ * @param {Arguments} args
+ * @returns {Array}
+ */
+function bulk(fn, args) {
+    var target = args[0],
+        props = args[1],
+        rest = Array.prototype.slice.call(args, 2);
+
+    if (Array.isArray(props)) return props.map(function(prop) {
+        return fn.apply(null, [target, prop].concat(rest));
+    });
+
+    return ownKeys(props).map(function(prop) {
+        return fn.apply(null, [target, prop, props[prop]].concat(rest));
+    });
+}
+
+/**
+ * Return the own enumerable property names and symbols of an object.
+ * @param {object} obj
+ * @returns {Array}
+ */
+function enumerableKeys(obj) {
+    return ownKeys(obj).filter(function(prop) {
+        return Object.getOwnPropertyDescriptor(obj, prop).enumerable;
+    });
+}
+
+/**
+ * Create backing storage for an accessor property.  When the property is
+ * defined on a constructor prototype, each instance gets its own value, and
+ * the initial value acts as a prototype-wide default until an instance is
+ * assigned a value of its own.  Objects without a value of their own read the
+ * value of the nearest object on their prototype chain which has one, such as
+ * a subclass prototype, before falling back to the default.
+ * @param {object} target
+ * @param {*} val
+ * @param {boolean} [perInstance]
+ * @returns {object}
+ */
+function storage(target, val, perInstance) {
+    var values = perInstance ? new WeakMap() : null;
+
+    function own(obj) {
+        return values && obj !== target && Object(obj) === obj;
+    }
+
+    function holder(obj) {
+        while (own(obj) && !values.has(obj)) obj = Object.getPrototypeOf(obj);
+        return own(obj) ? obj : null;
+    }
+
+    return {
+        has: function(obj) {
+            return own(obj) && values.has(obj);
+        },
+        get: function(obj) {
+            var found = holder(obj);
+
+            return found ? values.get(found) : val;
+        },
+        set: function(obj, newval) {
+            if (own(obj)) values.set(obj, newval);
+            else val = newval;
+        },
+        delete: function(obj) {
+            if (own(obj)) values.delete(obj);
+        }
+    };
+}
+
+/**
+ * Error for a value rejected by a validated property.
+ * @constructor
+ * @param {object} target
+ * @param {string|symbol} prop
+ * @param {*} val
+ * @param {string} [message]
+ */
+function PropertyValidationError(target, prop, val, message) {
+    this.message = message || "invalid value for " + String(prop);
+    this.target = target;
+    this.property = prop;
+    this.value = val;
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, PropertyValidationError);
+    } else {
+        this.stack = new Error(this.message).stack;
+    }
+}
+
+PropertyValidationError.prototype = Object.create(Error.prototype);
+PropertyValidationError.prototype.constructor = PropertyValidationError;
+PropertyValidationError.prototype.name = "PropertyValidationError";
+
+/**
+ * Error for a schema which could not be applied.  Each error in the list has
+ * the property name and a message.
+ * @constructor
+ * @param {object[]} errors
+ */
+function PropertySchemaError(errors) {
+    this.message = "invalid schema: " + errors.map(function(error) {
+        return String(error.property) + ": " + error.message;
+    }).join("; ");
+    this.errors = errors;
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, PropertySchemaError);
+    } else {
+        this.stack = new Error(this.message).stack;
+    }
+}
+
+PropertySchemaError.prototype = Object.create(Error.prototype);
+PropertySchemaError.prototype.constructor = PropertySchemaError;
+PropertySchemaError.prototype.name = "PropertySchemaError";
+
 /**
  * Configure a basic property.  The property will be configurable, enumerable,
  * and writable.  If no value is provided, the current value will be used.
  * This function can be useful after you've already configured a property and
  * wish it to return back to normal behavior.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol|Array|object} prop
  * @param {*} [val]
  */
 function basic(target, prop, val) {
+    if (isDecoratorContext(prop)) return decorate(target, prop, basic, []);
+    if (isBulk(prop)) return bulk(basic, arguments);
     target = normalTarget(target);
     if (arguments.length < 3) val = target[prop];
     Object.defineProperty(target, prop, {
@@ -33,10 +256,12 @@ function basic(target, prop, val) {
  * Configure a field property on an object which will not be configurable.  If
  * no value if provided, the current value will be used.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol|Array|object} prop
  * @param {*} [val]
  */
 function field(target, prop, val) {
+    if (isDecoratorContext(prop)) return decorate(target, prop, field, []);
+    if (isBulk(prop)) return bulk(field, arguments);
     target = normalTarget(target);
     if (arguments.length < 3) val = target[prop];
     Object.defineProperty(target, prop, {
@@ -50,12 +275,19 @@ function field(target, prop, val) {
 /**
  * Configure a hidden property on an object which will not be enumerable.  If
  * no value if provided, the current value will be used.
+ * Pass the autoSymbol option to define the property with a new symbol, using
+ * prop as its description.  Returns the property key.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol|Array|object} prop
  * @param {*} [val]
+ * @param {object} [options]
+ * @returns {string|symbol}
  */
-function hidden(target, prop, val) {
+function hidden(target, prop, val, options) {
+    if (isDecoratorContext(prop)) return decorate(target, prop, hidden, []);
+    if (isBulk(prop)) return bulk(hidden, arguments);
     target = normalTarget(target);
+    if (options && options.autoSymbol) prop = Symbol(prop);
     if (arguments.length < 3) val = target[prop];
     Object.defineProperty(target, prop, {
         configurable: true,
@@ -63,16 +295,19 @@ function hidden(target, prop, val) {
         writable: true,
         value: val
     });
+    return prop;
 } 
 
 /**
  * Configure a read-only property on an object which will not be writable.  If
  * no value is provided, the current value will be used.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol|Array|object} prop
  * @param {*} [val]
  */
 function readonly(target, prop, val) {
+    if (isDecoratorContext(prop)) return decorate(target, prop, readonly, []);
+    if (isBulk(prop)) return bulk(readonly, arguments);
     target = normalTarget(target);
     if (arguments.length < 3) val = target[prop];
     Object.defineProperty(target, prop, {
@@ -86,12 +321,19 @@ function readonly(target, prop, val) {
 /**
  * Configure an internal property on an object which will not be enumerable or
  * writable.  If no value is provided, the current value will be used.
+ * Pass the autoSymbol option to define the property with a new symbol, using
+ * prop as its description.  Returns the property key.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol|Array|object} prop
  * @param {*} [val]
+ * @param {object} [options]
+ * @returns {string|symbol}
  */
-function internal(target, prop, val) {
+function internal(target, prop, val, options) {
+    if (isDecoratorContext(prop)) return decorate(target, prop, internal, []);
+    if (isBulk(prop)) return bulk(internal, arguments);
     target = normalTarget(target);
+    if (options && options.autoSymbol) prop = Symbol(prop);
     if (arguments.length < 3) val = target[prop];
     Object.defineProperty(target, prop, {
         configurable: true,
@@ -99,16 +341,19 @@ function internal(target, prop, val) {
         writable: false,
         value: val
     });
+    return prop;
 }
 
 /**
  * Configure an attribute property on an object which will not be configurable
  * or writable.  If no value is provided, the current value will be used.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol|Array|object} prop
  * @param {*} [val]
  */
 function attribute(target, prop, val) {
+    if (isDecoratorContext(prop)) return decorate(target, prop, attribute, []);
+    if (isBulk(prop)) return bulk(attribute, arguments);
     target = normalTarget(target);
     if (arguments.length < 3) val = target[prop];
     Object.defineProperty(target, prop, {
@@ -123,10 +368,12 @@ function attribute(target, prop, val) {
  * Configure a setting property on an object which will not be configurable or
  * enumerable.  If no value is provided, the current value will be used.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol|Array|object} prop
  * @param {*} [val]
  */
 function setting(target, prop, val) {
+    if (isDecoratorContext(prop)) return decorate(target, prop, setting, []);
+    if (isBulk(prop)) return bulk(setting, arguments);
     target = normalTarget(target);
     if (arguments.length < 3) val = target[prop];
     Object.defineProperty(target, prop, {
@@ -141,12 +388,19 @@ function setting(target, prop, val) {
  * Configure a locked property on an object which will not be configurable,
  * enumerable, or writable.  If no value is provided, the current value will be
  * used.
+ * Pass the autoSymbol option to define the property with a new symbol, using
+ * prop as its description.  Returns the property key.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol|Array|object} prop
  * @param {*} [val]
+ * @param {object} [options]
+ * @returns {string|symbol}
  */
-function locked(target, prop, val) {
+function locked(target, prop, val, options) {
+    if (isDecoratorContext(prop)) return decorate(target, prop, locked, []);
+    if (isBulk(prop)) return bulk(locked, arguments);
     target = normalTarget(target);
+    if (options && options.autoSymbol) prop = Symbol(prop);
     if (arguments.length < 3) val = target[prop];
     Object.defineProperty(target, prop, {
         configurable: false,
@@ -154,13 +408,174 @@ function locked(target, prop, val) {
         writable: false,
         value: val
     });
+    return prop;
+}
+
+/**
+ * Apply a preset, such as locked or hidden, to every own property of an object
+ * which passes a filter, keeping each property's current value.  The filter may
+ * be an array of property names, a regular expression matching property names,
+ * or a predicate called with each property name and descriptor.  Returns the
+ * list of properties the preset was applied to.
+ * @param {object|function} target
+ * @param {string} kind
+ * @param {Array|RegExp|function} [filter]
+ * @returns {Array}
+ */
+function all(target, kind, filter) {
+    var obj = normalTarget(target),
+        props;
+
+    if (!presetFunctions.hasOwnProperty(kind)) {
+        throw new TypeError("unknown preset: " + kind);
+    }
+
+    props = ownKeys(obj).filter(function(prop) {
+        if (!filter) return true;
+        if (Array.isArray(filter)) return filter.indexOf(prop) >= 0;
+        if (filter instanceof RegExp) {
+            return typeof prop === "string" && filter.test(prop);
+        }
+
+        return filter(prop, Object.getOwnPropertyDescriptor(obj, prop));
+    });
+
+    bulk(presetFunctions[kind], [target, props]);
+    return props;
+}
+
+/**
+ * Apply a preset to every own property of an object and, recursively, of every
+ * object it refers to.  Arrays, Maps, and Sets are left alone unless the arrays
+ * or collections options are set.  Array elements are configured like any other
+ * property; Map and Set entries are walked, and their mutating methods will
+ * throw if the preset is not writable.  Each object is visited once, so cyclic
+ * references are safe.  Non-configurable properties, such as those of frozen
+ * objects, are made read-only if the preset is, and otherwise left alone.
+ * Properties which still can't match the preset, such as non-configurable
+ * accessors with setters, are reported in a PropertySchemaError thrown once
+ * everything else has been configured, with their dotted paths.  Returns the
+ * target.
+ * @param {string} kind
+ * @param {object|function} target
+ * @param {object} [options]
+ * @returns {object|function}
+ */
+function deep(kind, target, options) {
+    var errors = [];
+
+    if (!presetFunctions.hasOwnProperty(kind)) {
+        throw new TypeError("unknown preset: " + kind);
+    }
+
+    deepApply(normalTarget(target), kind, options || {}, new Set(), "", errors);
+    if (errors.length) throw new PropertySchemaError(errors);
+    return target;
+}
+
+/**
+ * Apply a preset to an object and the objects it refers to, skipping any which
+ * have already been seen, and collecting the properties which can't be
+ * configured.
+ * @param {object} obj
+ * @param {string} kind
+ * @param {object} options
+ * @param {Set} seen
+ * @param {string} path
+ * @param {object[]} errors
+ */
+function deepApply(obj, kind, options, seen, path, errors) {
+    var flags = presetFlags(kind),
+        collection = obj instanceof Map || obj instanceof Set,
+        children = [];
+
+    if (typeof obj !== "object" || obj === null || seen.has(obj)) return;
+    if (Array.isArray(obj) && !options.arrays) return;
+    if (collection && !options.collections) return;
+
+    seen.add(obj);
+    ownKeys(obj).forEach(function(prop) {
+        var desc = Object.getOwnPropertyDescriptor(obj, prop),
+            name = path ? path + "." + String(prop) : String(prop);
+
+        if (Array.isArray(obj) && prop === "length") return;
+
+        if (desc.configurable) presetFunctions[kind](obj, prop);
+        else if (flags[2] === "0" && "value" in desc) {
+            Object.defineProperty(obj, prop, {writable: false});
+        } else if (flags[2] === "0" && desc.set) {
+            errors.push({
+                property: name,
+                message: "cannot apply " + kind + " to non-configurable setter"
+            });
+        }
+
+        children.push({value: obj[prop], path: name});
+    });
+
+    if (Array.isArray(obj) && flags[2] === "0") {
+        Object.defineProperty(obj, "length", {writable: false});
+    }
+
+    if (collection) {
+        obj.forEach(function(val, key) {
+            children.push({value: key, path: path}, {value: val, path: path});
+        });
+
+        if (flags[2] === "0" && !isLocked(obj)) {
+            if (Object.isExtensible(obj)) lockCollection(obj, flags[0] === "1");
+            else errors.push({
+                property: path,
+                message: "cannot lock non-extensible collection"
+            });
+        }
+    }
+
+    children.forEach(function(child) {
+        deepApply(child.value, kind, options, seen, child.path, errors);
+    });
+}
+
+/**
+ * Check whether the mutating methods of a Map or Set have already been replaced
+ * by lockCollection and can't be changed.
+ * @param {Map|Set} coll
+ * @returns {boolean}
+ */
+function isLocked(coll) {
+    var desc = Object.getOwnPropertyDescriptor(coll, "clear");
+
+    return Boolean(desc && !desc.writable && !desc.configurable);
+}
+
+/**
+ * Replace the mutating methods of a Map or Set with methods which throw.
+ * @param {Map|Set} coll
+ * @param {boolean} configurable
+ */
+function lockCollection(coll, configurable) {
+    var type = coll instanceof Map ? "Map" : "Set",
+        methods = type === "Map" ? ["set", "delete", "clear"]
+            : ["add", "delete", "clear"];
+
+    methods.forEach(function(method) {
+        Object.defineProperty(coll, method, {
+            configurable: configurable,
+            enumerable: false,
+            writable: false,
+            value: function() {
+                throw new TypeError("cannot " + method + " on read-only "
+                    + type);
+            }
+        });
+    });
 }
 
 /**
  * Update an object property value, resetting any get/set and bypassing
  * non-writable descriptor.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol} prop
  * @param {*} val
  */
 function value(target, prop, val) {
@@ -187,10 +602,19 @@ function value(target, prop, val) {
  * to false, but it may be set to true any number of times before being set to
  * false.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol|Array|object} prop
  * @param {boolean} [configurable]
  */
 function configurable(target, prop, configurable) {
+    if (isDecoratorContext(prop)) {
+        return decorate(target, prop, flagFunctions.configurable, []);
+    }
+
+    if (arguments.length === 1) {
+        return decorator(flagFunctions.configurable, [target]);
+    }
+
+    if (isBulk(prop)) return bulk(flagFunctions.configurable, arguments);
     target = normalTarget(target);
     configurable = arguments.length < 3 ? true : !!configurable;
 
@@ -210,10 +634,19 @@ function configurable(target, prop, configurable) {
  * Update the configuration for an object property, setting the enumerable flag
  * (default to true).
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol|Array|object} prop
  * @param {boolean} [enumerable]
  */
 function enumerable(target, prop, enumerable) {
+    if (isDecoratorContext(prop)) {
+        return decorate(target, prop, flagFunctions.enumerable, []);
+    }
+
+    if (arguments.length === 1) {
+        return decorator(flagFunctions.enumerable, [target]);
+    }
+
+    if (isBulk(prop)) return bulk(flagFunctions.enumerable, arguments);
     target = normalTarget(target);
     enumerable = arguments.length < 3 ? true : !!enumerable;
 
@@ -233,10 +666,19 @@ function enumerable(target, prop, enumerable) {
  * Update the configuration for an object property, setting the writable flag
  * (default to true).
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol|Array|object} prop
  * @param {boolean} [writable]
  */
 function writable(target, prop, writable) {
+    if (isDecoratorContext(prop)) {
+        return decorate(target, prop, flagFunctions.writable, []);
+    }
+
+    if (arguments.length === 1) {
+        return decorator(flagFunctions.writable, [target]);
+    }
+
+    if (isBulk(prop)) return bulk(flagFunctions.writable, arguments);
     target = normalTarget(target);
     writable = arguments.length < 3 ? true : !!writable;
 
@@ -255,7 +697,7 @@ function writable(target, prop, writable) {
 /**
  * Update the configuration for an object property, setting the getter.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol} prop
  * @param {function} getter
  */
 function get(target, prop, getter) {
@@ -281,7 +723,7 @@ function get(target, prop, getter) {
 /**
  * Update the configuration for an object property, setting the setter.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol} prop
  * @param {function} setter
  */
 function set(target, prop, setter) {
@@ -307,167 +749,2371 @@ function set(target, prop, setter) {
 /**
  * Configure a validated property on an object which will ignore updates for
  * values which return a non-true value when passed to a validator function.
+ * Options:
+ *  strict: throw a PropertyValidationError for invalid values
+ *  onInvalid: call with a PropertyValidationError for invalid values instead
+ *             of throwing
+ *  initial: validate the initial value as well
+ * A validator may return a string to reject a value with a message.  Called
+ * with just a validator and options, returns a decorator.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol} prop
  * @param {*} [val]
  * @param {function} validator
+ * @param {object} [options]
  */
-function validated(target, prop, val, validator) {
-    target = normalTarget(target);
+function validated(target, prop, val, validator, options) {
+    var hasVal = typeof validator === "function",
+        line, check;
 
-    var desc = describe(target, prop) || {};
-    
-    if (arguments.length < 4) validator = val, val = target[prop];
-    Object.defineProperty(target, prop, {
-        configurable: true,
-        enumerable: true,
-        get: function() {
-            return desc.get
-                ? desc.get.call(this)
-                : val;
-        },
-        set: function(newval) {
-            if (validator.call(this, newval) === true) {
-                val = newval;
-                if (desc.set) desc.set.call(this, newval);
-            }
+    if (isDecoratorFactory(arguments)) {
+        return decorator(validated, [target, prop]);
+    }
+
+    if (!hasVal) options = validator, validator = val;
+    options = options || {};
+    check = options.strict || options.onInvalid
+        ? reportingValidator(prop, validator, options)
+        : validator;
+
+    line = pipeline(target, prop, [{validate: check}]);
+    line.kind = "validated";
+    if (options.initial) {
+        if (!hasVal) val = line.storage.get(line.target);
+        if (check.call(line.target, val) === true) {
+            line.storage.set(line.target, val);
         }
-    });
+    } else if (hasVal) line.storage.set(line.target, val);
+    enumerable(line.target, prop, true);
+}
+
+/**
+ * Wrap a validator so that invalid values are reported to an onInvalid
+ * callback, or thrown as a PropertyValidationError.
+ * @param {string|symbol} prop
+ * @param {function} validator
+ * @param {object} options
+ * @returns {function}
+ */
+function reportingValidator(prop, validator, options) {
+    function check(val) {
+        var result = validator.call(this, val),
+            err;
+
+        if (result === true) return true;
+
+        err = new PropertyValidationError(this, prop, val,
+            typeof result === "string" ? result : undefined);
+
+        if (options.onInvalid) options.onInvalid.call(this, err);
+        else throw err;
+
+        return false;
+    }
+
+    wrappedSteps.set(check, validator);
+    return check;
 }
 
 /**
  * Configure a normalized property on an object which passes a value through a
- * normalizer function before updating.
+ * normalizer function before updating.  Called with just a normalizer, returns
+ * a decorator.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol} prop
  * @param {*} [val]
  * @param {function} normalizer
  */
 function normalized(target, prop, val, normalizer) {
-    target = normalTarget(target);
+    var line;
 
-    var desc = describe(target, prop) || {};
-    
-    if (arguments.length < 4) normalizer = val, val = target[prop];
-    Object.defineProperty(target, prop, {
-        configurable: true,
-        enumerable: true,
-        get: function() {
-            return desc.get
-                ? desc.get.call(this)
-                : val;
-        },
-        set: function(newval) {
-            if (desc.set) desc.set.call(this, normalizer.call(this, newval));
-            else val = normalizer.call(this, newval);
-        }
-    });
+    if (arguments.length === 1) return decorator(normalized, [target]);
+    if (arguments.length < 4) normalizer = val;
+    line = pipeline(target, prop, [{normalize: normalizer}]);
+    line.kind = "normalized";
+    if (arguments.length > 3) line.storage.set(line.target, val);
+    enumerable(line.target, prop, true);
 }
 
 /**
- * Configure a derived property on an object which is read-only and whose value
- * is calculated by a derive function every time it is accessed.
+ * Configure a derived property on an object whose value is calculated by a
+ * derive function every time it is accessed.  The property is read-only unless
+ * an inverse function is provided to map assigned values back onto the
+ * properties the value is derived from.  Pass the strict option to throw a
+ * TypeError when assigning to a read-only derived property.  As a decorator,
+ * the getter is used as the derive function; called with just an inverse and
+ * options, returns a decorator.
  * @param {object|function} target
- * @param {string} prop
+ * @param {string|symbol} prop
  * @param {function} derive
+ * @param {function} [inverse]
+ * @param {object} [options]
  */
-function derived(target, prop, derive) {
+function derived(target, prop, derive, inverse, options) {
+    if (isDecoratorContext(prop)) {
+        return decorate(target, prop, derived, [target]);
+    }
+
+    if (isDecoratorFactory(arguments)) {
+        inverse = target, options = prop;
+        return function(value, context) {
+            return decorate(value, context, derived,
+                [value, inverse, options]);
+        };
+    }
+
     target = normalTarget(target);
-    Object.defineProperty(target, prop, {
-        configurable: true,
-        enumerable: false,
-        get: derive,
-        set: undefined
-    });
+    if (typeof inverse !== "function") options = inverse, inverse = undefined;
+    options = options || {};
+
+    var info = {kind: "derived", derive: derive},
+        desc = {
+            configurable: true,
+            enumerable: false,
+            get: derive,
+            set: inverse
+        };
+
+    if (inverse) info.inverse = inverse;
+    else if (options.strict) desc.set = function() {
+        throw new TypeError("cannot assign to derived property "
+            + String(prop));
+    };
+
+    Object.defineProperty(target, prop, desc);
+    tagAccessor(target, prop, desc, info);
 }
 
 /**
- * Configure a property on an object which has get/set handlers.
+ * Configure a computed property on an object which is read-only and whose value
+ * is calculated by a derive function the first time it is accessed.  The value
+ * is cached for each object until one of the dependency properties is set, or
+ * until the cache is cleared by invalidate.  Dependencies are intercepted with
+ * a store pipeline step, so the cache is cleared even while notifications are
+ * batched; dependencies with only a getter cannot be set, and are left alone.
+ * Class fields hide the pipelines of the dependencies they declare,
+ * so call install on instances with such fields.  Called with just the
+ * dependencies, returns a decorator which uses the getter as the derive
+ * function.
  * @param {object|function} target
- * @param {string} prop
- * @param {function} set
- * @param {function} get
+ * @param {string|symbol} prop
+ * @param {Array} deps
+ * @param {function} derive
  */
-function managed(target, prop, set, get) {
+function computed(target, prop, deps, derive) {
+    var record = {cache: new WeakMap()},
+        desc = {
+            configurable: true,
+            enumerable: false,
+            get: function() {
+                if (!record.cache.has(this)) {
+                    record.cache.set(this, derive.call(this));
+                }
+
+                return record.cache.get(this);
+            },
+            set: undefined
+        };
+
+    if (arguments.length === 1) {
+        deps = target;
+        return function(value, context) {
+            return decorate(value, context, computed, [deps, value]);
+        };
+    }
+
+    deps.forEach(function(dep) {
+        var current = describe(normalTarget(target), dep);
+
+        if (current && !("value" in current) && !current.set) return;
+        pipeline(target, dep, [{store: function() {
+            record.cache.delete(this);
+        }}]);
+    });
+
     target = normalTarget(target);
-    Object.defineProperty(target, prop, {
-        configurable: true,
-        enumerable: false,
-        set: set,
-        get: get
+    computedCaches.set(desc.get, record);
+    Object.defineProperty(target, prop, desc);
+    tagAccessor(target, prop, desc, {
+        kind: "computed",
+        derive: derive,
+        deps: deps.slice()
     });
 }
 
 /**
- * Configure a property on an object which triggers a callback when set.
+ * Configure a lazy property on an object whose value is created by an init
+ * function the first time it is read.  The property is then redefined on the
+ * object reading it as a data property with the given preset, such as readonly
+ * or internal (default basic), so each instance of a class gets its own value.
+ * Reading the property on the class prototype itself returns a new value
+ * without keeping it.  Assigning to a writable property before it's read skips
+ * the init function, while assigning to a read-only one initializes it and
+ * ignores the assigned value.  As a decorator, the getter is used as the init
+ * function; called with just a preset, returns a decorator.
  * @param {object|function} target
- * @param {string} prop
- * @param {function} change
+ * @param {string|symbol} prop
+ * @param {function} init
+ * @param {string} [kind]
  */
-function triggered(target, prop, change) {
-    target = normalTarget(target);
+function lazy(target, prop, init, kind) {
+    var perInstance = typeof target === "function",
+        desc, writable;
 
-    var val = target[prop],
-        desc = describe(target, prop) || {};
-    
-    Object.defineProperty(target, prop, {
+    if (isDecoratorContext(prop)) {
+        return decorate(target, prop, lazy, [target]);
+    }
+
+    if (isDecoratorFactory(arguments)) {
+        kind = target;
+        return function(value, context) {
+            return decorate(value, context, lazy, [value, kind]);
+        };
+    }
+
+    kind = kind || "basic";
+    if (!presetFunctions.hasOwnProperty(kind)) {
+        throw new TypeError("unknown preset: " + kind);
+    }
+
+    target = normalTarget(target);
+    writable = presetFlags(kind)[2] === "1";
+    desc = {
         configurable: true,
-        enumerable: false,
-        set: function(newval) {
-            var oldval = val;
-            val = newval;
-            if (desc.set) desc.set.call(this, newval);
-            change.call(this, newval, oldval);
-        },
+        enumerable: presetFlags(kind)[1] === "1",
         get: function() {
-            return desc.get
-                ? desc.get.call(this)
-                : val;
+            var val = init.call(this);
+
+            if (perInstance && this === target) return val;
+            presetFunctions[kind](this, prop, val);
+            return val;
+        },
+        set: function(val) {
+            presetFunctions[kind](this, prop, writable ? val : init.call(this));
         }
-    });
+    };
+
+    Object.defineProperty(target, prop, desc);
+    tagAccessor(target, prop, desc, {kind: "lazy", init: init, preset: kind});
 }
 
 /**
- * Return the current descriptor for an object property, which may be an own
- * descriptor or a prototype descriptor.
- * @param {object|function} target
- * @param {string} prop
- * @returns {object}
+ * Give each instance of a constructor its own default value for a preset or
+ * pipeline property, created by calling create on the instance the first time
+ * it reads the property without having been assigned a value.
+ * @param {function} target
+ * @param {string|symbol} prop
+ * @param {string} kind
+ * @param {function} create
  */
-function describe(target, prop) {
-    var proto = target,
-        desc;
+function instanceDefault(target, prop, kind, create) {
+    var line, base;
 
-    while (!(desc = Object.getOwnPropertyDescriptor(proto, prop))
-            && ((proto = Object.getPrototypeOf(proto)) !== Object.prototype))
-        ;
+    if (presetFunctions.hasOwnProperty(kind)) {
+        return lazy(target, prop, create, kind);
+    }
+
+    line = pipeline(target, prop);
+    base = line.storage;
+    line.storage = {
+        has: base.has,
+        get: function(obj) {
+            if (obj !== line.target && Object(obj) === obj && !base.has(obj)) {
+                base.set(obj, create.call(obj));
+            }
 
-    return desc;
+            return base.get(obj);
+        },
+        set: base.set,
+        delete: base.delete
+    };
 }
 
-/** export propertize functions */
-module.exports = {
-    value: value,
-    configurable: configurable,
-    enumerable: enumerable,
-    writable: writable,
-    get: get,
-    set: set,
-    
-    attribute: attribute,
-    basic: basic,
-    field: field,
-    hidden: hidden,
-    internal: internal,
-    locked: locked,
+/**
+ * Clear the cached value of a computed property.  When a function is provided,
+ * the cached values for every instance are cleared.
+ * @param {object|function} target
+ * @param {string|symbol} prop
+ */
+function invalidate(target, prop) {
+    var desc = describe(normalTarget(target), prop),
+        record = desc && desc.get && computedCaches.get(desc.get);
+
+    if (!record) return;
+    if (typeof target === "function") record.cache = new WeakMap();
+    else record.cache.delete(target);
+}
+
+/**
+ * Configure a property on an object which has get/set handlers.
+ * @param {object|function} target
+ * @param {string|symbol} prop
+ * @param {function} set
+ * @param {function} get
+ */
+function managed(target, prop, set, get) {
+    target = normalTarget(target);
+
+    var desc = {
+        configurable: true,
+        enumerable: false,
+        set: set,
+        get: get
+    };
+
+    Object.defineProperty(target, prop, desc);
+    tagAccessor(target, prop, desc, {kind: "managed", get: get, set: set});
+}
+
+/**
+ * Configure a property on an object which reads and writes another property of
+ * the same object.  Pass the readonly option to ignore assignments.  Many
+ * aliases may be configured at once by passing an object mapping each property
+ * name to the property it aliases.
+ * @param {object|function} target
+ * @param {string|symbol|object} prop
+ * @param {string|symbol} other
+ * @param {object} [options]
+ */
+function alias(target, prop, other, options) {
+    if (isBulk(prop)) return bulk(alias, arguments);
+
+    options = options || {};
+    managed(target, prop, options.readonly ? undefined : function(val) {
+        this[other] = val;
+    }, function() {
+        return this[other];
+    });
+
+    retagAccessor(target, prop, {kind: "alias", property: other});
+}
+
+/**
+ * Configure a property on an object which reads and writes a property of
+ * another object.  The other object may be passed directly, or found from a
+ * dotted path of property names starting from the object the property is read
+ * on.  The source property defaults to the same name.  Functions are bound to
+ * the object they're read from, so delegated methods work as expected, and the
+ * same bound function is returned each time a method is read.  Pass the
+ * readonly option to ignore assignments.  Many properties may be delegated at
+ * once by passing a list of names, or an object mapping each property name to
+ * its path or object.
+ * @param {object|function} target
+ * @param {string|symbol|Array|object} prop
+ * @param {string|object} source
+ * @param {string|symbol} [sourceProp]
+ * @param {object} [options]
+ */
+function delegate(target, prop, source, sourceProp, options) {
+    if (isBulk(prop)) return bulk(delegate, arguments);
+
+    if (typeof sourceProp === "object") options = sourceProp, sourceProp = prop;
+    if (sourceProp === undefined) sourceProp = prop;
+    options = options || {};
+
+    function resolve(obj) {
+        if (typeof source !== "string") return source;
+
+        return source.split(".").reduce(function(owner, name) {
+            return Object(owner) === owner ? owner[name] : undefined;
+        }, obj);
+    }
+
+    managed(target, prop, options.readonly ? undefined : function(val) {
+        var obj = resolve(this);
+
+        if (Object(obj) !== obj) {
+            throw new TypeError("cannot delegate " + String(prop) + " to "
+                + String(source));
+        }
+
+        obj[sourceProp] = val;
+    }, function() {
+        var obj = resolve(this),
+            val = Object(obj) === obj ? obj[sourceProp] : undefined;
+
+        return typeof val === "function" ? bindMethod(obj, val) : val;
+    });
+
+    retagAccessor(target, prop, {
+        kind: "delegate",
+        source: source,
+        property: sourceProp
+    });
+}
+
+/**
+ * Bind a function to an object, returning the same bound function each time the
+ * pair is bound.
+ * @param {object} obj
+ * @param {function} fn
+ * @returns {function}
+ */
+function bindMethod(obj, fn) {
+    var bound;
+
+    if (!boundMethods.has(obj)) boundMethods.set(obj, new WeakMap());
+    bound = boundMethods.get(obj);
+    if (!bound.has(fn)) bound.set(fn, fn.bind(obj));
+    return bound.get(fn);
+}
+
+/**
+ * Replace the tag for an accessor already configured by propertize, such as one
+ * defined by managed for another helper.
+ * @param {object|function} target
+ * @param {string|symbol} prop
+ * @param {object} info
+ */
+function retagAccessor(target, prop, info) {
+    target = normalTarget(target);
+    tagAccessor(target, prop, Object.getOwnPropertyDescriptor(target, prop),
+        info);
+}
+
+/**
+ * Remember the kind of an accessor defined on an object property, along with
+ * the information kind should report for it.
+ * @param {object} target
+ * @param {string|symbol} prop
+ * @param {object} desc
+ * @param {object} info
+ */
+function tagAccessor(target, prop, desc, info) {
+    if (!accessors.has(target)) accessors.set(target, new Map());
+    accessors.get(target).set(prop, {get: desc.get, set: desc.set, info: info});
+}
+
+/**
+ * Configure a property on an object which triggers a callback when set.
+ * Options:
+ *  microtask: collect changes and call the callback once for each object in a
+ *             microtask, with the first old value and the last new value
+ *  equals: only call the callback when the value changes, comparing with
+ *          Object.is, or with this function if one is provided
+ *  before: call this hook with a change record before the update is stored;
+ *          it may return false to veto the update, or change the record's
+ *          newValue to store a different value
+ * Called with just a callback and options, returns a decorator.
+ * @param {object|function} target
+ * @param {string|symbol} prop
+ * @param {function} change
+ * @param {object} [options]
+ */
+function triggered(target, prop, change, options) {
+    var steps = [],
+        notify = change,
+        line;
+
+    if (isDecoratorFactory(arguments)) {
+        return decorator(triggered, [target, prop]);
+    }
+
+    options = options || {};
+
+    if (options.before) {
+        steps.push({normalize: beforeStep(prop, options.before)});
+    }
+
+    if (options.equals) notify = changeStep(notify, options.equals);
+    if (options.microtask) notify = microtaskStep(notify, prop);
+    steps.push({notify: notify});
+
+    line = pipeline(target, prop, steps);
+    line.kind = "triggered";
+    enumerable(line.target, prop, false);
+}
+
+/**
+ * Create a normalize step which passes a change record to a hook which may veto
+ * or rewrite the update.
+ * @param {string|symbol} prop
+ * @param {function} before
+ * @returns {function}
+ */
+function beforeStep(prop, before) {
+    function step(newval, oldval) {
+        var record = {
+            object: this,
+            name: prop,
+            oldValue: oldval,
+            newValue: newval
+        };
+
+        return before.call(this, record) === false
+            ? vetoed
+            : record.newValue;
+    }
+
+    wrappedSteps.set(step, before);
+    return step;
+}
+
+/**
+ * Wrap a notify step so that it's only called when the value changes.
+ * @param {function} change
+ * @param {function|boolean} equals
+ * @returns {function}
+ */
+function changeStep(change, equals) {
+    equals = typeof equals === "function" ? equals : Object.is;
+
+    function step(newval, oldval) {
+        if (!equals.call(this, newval, oldval)) {
+            change.call(this, newval, oldval);
+        }
+    }
+
+    wrappedSteps.set(step, change);
+    return step;
+}
+
+/**
+ * Wrap a notify step so that changes are collected and delivered in a
+ * microtask.
+ * @param {function} change
+ * @param {string|symbol} prop
+ * @returns {function}
+ */
+function microtaskStep(change, prop) {
+    var queue = null;
+
+    function step(newval, oldval) {
+        if (!queue) {
+            queue = [];
+            Promise.resolve().then(function() {
+                var changes = queue;
+                queue = null;
+                deliver(changes);
+            });
+        }
+
+        enqueue(queue, change, this, prop, newval, oldval);
+    }
+
+    wrappedSteps.set(step, wrappedSteps.get(change) || change);
+    return step;
+}
+
+/**
+ * Call a function, holding the notify steps for any property updates until the
+ * function returns.  Each notify step is then called once for each object and
+ * property it was triggered on, with the first old value and the last new
+ * value.  Batches may be nested, in which case notifications are held until the
+ * outermost batch ends.  Returns the result of the function.
+ * @param {function} fn
+ * @returns {*}
+ */
+function batch(fn) {
+    var changes;
+
+    if (pending) return fn();
+
+    pending = [];
+
+    try {
+        return fn();
+    } finally {
+        changes = pending;
+        pending = null;
+        deliver(changes);
+    }
+}
+
+/**
+ * Add a change to a queue of notifications, merging it with any change already
+ * queued for the same notify step, object and property.
+ * @param {object[]} queue
+ * @param {function} notify
+ * @param {object} obj
+ * @param {string|symbol} prop
+ * @param {*} newval
+ * @param {*} oldval
+ */
+function enqueue(queue, notify, obj, prop, newval, oldval) {
+    var queued = queue.filter(function(change) {
+        return change.notify === notify && change.obj === obj
+            && change.prop === prop;
+    })[0];
+
+    if (queued) queued.newval = newval;
+    else queue.push({
+        notify: notify, obj: obj, prop: prop, newval: newval, oldval: oldval
+    });
+}
+
+/**
+ * Call the notify steps for a queue of notifications.  Every step is called
+ * even if an earlier one throws, and the first error is thrown afterwards.
+ * @param {object[]} queue
+ */
+function deliver(queue) {
+    var errors = [];
+
+    queue.forEach(function(change) {
+        try {
+            change.notify.call(change.obj, change.newval, change.oldval);
+        } catch (err) {
+            errors.push(err);
+        }
+    });
+
+    if (errors.length) throw errors[0];
+}
+
+/**
+ * Observe changes to object properties, calling a listener with a change record
+ * describing each update.  Change records have the object, property name, old
+ * value, and new value.  If no properties are listed, every enumerable and
+ * configurable property the object already has is observed.  Any number of
+ * listeners may observe a property; they are called by a notify step in the
+ * property's pipeline.  Read-only data properties stay read-only.
+ * Returns a function which stops the listener from observing the properties.
+ * @param {object|function} target
+ * @param {string|symbol|Array} [props]
+ * @param {function} listener
+ * @returns {function}
+ */
+function observe(target, props, listener) {
+    var lines;
+
+    if (typeof props === "function") {
+        listener = props;
+        props = watchableKeys(normalTarget(target));
+    }
+
+    lines = (Array.isArray(props) ? props : [props]).map(function(prop) {
+        var line = watch(target, prop, []);
+
+        if (!observers.has(line)) {
+            observers.set(line, []);
+            line.add("notify", function(newval, oldval) {
+                var obj = this,
+                    record = {
+                        object: this,
+                        name: prop,
+                        oldValue: oldval,
+                        newValue: newval
+                    };
+
+                observers.get(line).slice().forEach(function(listener) {
+                    listener.call(obj, record);
+                });
+            });
+        }
+
+        observers.get(line).push(listener);
+        return line;
+    });
+
+    return function() {
+        lines.forEach(function(line) {
+            var listeners = observers.get(line),
+                index = listeners.indexOf(listener);
+
+            if (index >= 0) listeners.splice(index, 1);
+        });
+    };
+}
+
+/**
+ * Return the own enumerable properties of an object which can be watched by
+ * observe or history, leaving out those which are not configurable and so
+ * cannot be given a pipeline.
+ * @param {object} obj
+ * @returns {Array}
+ */
+function watchableKeys(obj) {
+    return enumerableKeys(obj).filter(function(prop) {
+        return Object.getOwnPropertyDescriptor(obj, prop).configurable;
+    });
+}
+
+/**
+ * Add steps to the pipeline for a property watched by observe or history.  If
+ * the property was a read-only data property, the pipeline refuses updates so
+ * that it stays read-only.
+ * @param {object|function} target
+ * @param {string|symbol} prop
+ * @param {object[]} steps
+ * @returns {object}
+ */
+function watch(target, prop, steps) {
+    var desc = describe(normalTarget(target), prop),
+        line = pipeline(target, prop, steps);
+
+    if (desc && "value" in desc && !desc.writable
+            && line.steps.normalize.indexOf(refuse) < 0) {
+        line.add("normalize", refuse);
+    }
+
+    return line;
+}
+
+/**
+ * Normalize step which vetoes every update.
+ * @returns {object}
+ */
+function refuse() {
+    return vetoed;
+}
+
+/**
+ * Record accepted updates to object properties so they can be undone and
+ * redone.  Updates are recorded by a store step in each property's pipeline,
+ * after normalization and validation.  Each update is a step in the history,
+ * except that updates made during a batch are recorded as a single step.
+ * If no properties are listed, every enumerable and configurable property the
+ * object already has is recorded.  Read-only data properties stay read-only.
+ * Options:
+ *  depth: maximum number of steps which can be undone
+ *  manual: group updates into a single step until checkpoint is called
+ * Returns a history with undo, redo, checkpoint, and stop methods, and canUndo
+ * and canRedo properties.  Undoing or redoing a step assigns the recorded
+ * values to the properties again in a batch.
+ * @param {object|function} target
+ * @param {string|symbol|Array} [props]
+ * @param {object} [options]
+ * @returns {object}
+ */
+function history(target, props, options) {
+    var undos = [],
+        redos = [],
+        open = null,
+        restoring = false,
+        lines, steps, recorder;
+
+    if (!Array.isArray(props) && typeof props === "object") {
+        options = props;
+        props = undefined;
+    }
+
+    props = props === undefined ? watchableKeys(normalTarget(target)) : props;
+    props = Array.isArray(props) ? props : [props];
+    options = options || {};
+
+    steps = props.map(function(prop) {
+        return function(newval, oldval) {
+            if (!restoring) record(this, prop, oldval);
+        };
+    });
+
+    lines = props.map(function(prop, i) {
+        return watch(target, prop, [{store: steps[i]}]);
+    });
+
+    function record(obj, prop, oldval) {
+        var newval = obj[prop];
+
+        // ignore updates which were rejected further down the pipeline
+        if (Object.is(newval, oldval)) return;
+
+        if (open && !options.manual && open.batch !== pending) open = null;
+
+        if (!open) {
+            open = {batch: pending, changes: []};
+            undos.push(open);
+            if (undos.length > options.depth) undos.shift();
+        }
+
+        open.changes.push({
+            obj: obj,
+            prop: prop,
+            oldval: oldval,
+            newval: newval
+        });
+        redos = [];
+
+        if (!options.manual && !pending) open = null;
+    }
+
+    function restore(step, undo) {
+        var changes = undo ? step.changes.slice().reverse() : step.changes;
+
+        restoring = true;
+
+        try {
+            batch(function() {
+                changes.forEach(function(change) {
+                    change.obj[change.prop] = undo
+                        ? change.oldval
+                        : change.newval;
+                });
+            });
+        } finally {
+            restoring = false;
+        }
+    }
+
+    recorder = {
+        undo: function() {
+            var step;
+
+            recorder.checkpoint();
+            if (!(step = undos.pop())) return false;
+            restore(step, true);
+            redos.push(step);
+            return true;
+        },
+        redo: function() {
+            var step;
+
+            if (!(step = redos.pop())) return false;
+            restore(step, false);
+            undos.push(step);
+            return true;
+        },
+        checkpoint: function() {
+            open = null;
+        },
+        stop: function() {
+            lines.forEach(function(line, i) {
+                line.remove("store", steps[i]);
+            });
+        }
+    };
+
+    derived(recorder, "canUndo", function() {return undos.length > 0;});
+    derived(recorder, "canRedo", function() {return redos.length > 0;});
+
+    return recorder;
+}
+
+/**
+ * Configure a property on an object which passes updates through a pipeline of
+ * steps.  Each step is an object mapping a stage name to a function, and steps
+ * run by stage, then in the order they were added:
+ *  normalize: called with the new and old values; returns the value used from
+ *             then on
+ *  validate: called with the new value; the update is ignored unless it
+ *            returns true
+ *  store: called with the new and old values after the new value has been
+ *         saved to the backing storage; a setter already defined for the
+ *         property becomes the first store step
+ *  notify: called with the new and old values once the update is stored, or
+ *          once the current batch ends
+ * Every step is called with object context.  If the property already has a
+ * pipeline on this target, the steps are added to it.  The returned pipeline
+ * has add(stage, fn) and remove(stage, fn) methods for changing the steps
+ * later.
+ * @param {object|function} target
+ * @param {string|symbol} prop
+ * @param {object[]} [steps]
+ * @returns {object}
+ */
+function pipeline(target, prop, steps) {
+    var perInstance = typeof target === "function";
+    target = normalTarget(target);
+
+    var desc = describe(target, prop) || {},
+        line = desc.set && pipelines.get(desc.set);
+
+    if (!line || line.target !== target) {
+        line = createPipeline(target, prop, desc, perInstance);
+    }
+
+    (steps || []).forEach(function(step) {
+        Object.keys(step).forEach(function(stage) {
+            line.add(stage, step[stage]);
+        });
+    });
+
+    return line;
+}
+
+/**
+ * Define the accessor for a new pipeline on an object property and return the
+ * pipeline.
+ * @param {object} target
+ * @param {string|symbol} prop
+ * @param {object} desc
+ * @param {boolean} perInstance
+ * @returns {object}
+ */
+function createPipeline(target, prop, desc, perInstance) {
+    var steps = {normalize: [], validate: [], store: [], notify: []},
+        line = {
+            target: target,
+            prop: prop,
+            kind: "pipeline",
+            steps: steps,
+            storage: storage(target, target[prop], perInstance),
+            add: function(stage, fn) {
+                stageSteps(stage).push(fn);
+                return line;
+            },
+            remove: function(stage, fn) {
+                var list = stageSteps(stage),
+                    index = list.indexOf(fn);
+
+                if (index >= 0) list.splice(index, 1);
+                return line;
+            }
+        };
+
+    function stageSteps(stage) {
+        if (!steps.hasOwnProperty(stage)) {
+            throw new TypeError("unknown pipeline stage: " + stage);
+        }
+
+        return steps[stage];
+    }
+
+    function getter() {
+        return desc.get
+            ? desc.get.call(this)
+            : line.storage.get(this);
+    }
+
+    function setter(newval) {
+        var oldval = getter.call(this),
+            obj = this;
+
+        if (steps.normalize.some(function(normalize) {
+            newval = normalize.call(obj, newval, oldval);
+            return newval === vetoed;
+        })) return;
+
+        if (!steps.validate.every(function(validate) {
+            return validate.call(obj, newval) === true;
+        })) return;
+
+        line.storage.set(this, newval);
+        steps.store.slice().forEach(function(store) {
+            store.call(obj, newval, oldval);
+        });
+
+        steps.notify.slice().forEach(function(notify) {
+            if (pending) enqueue(pending, notify, obj, prop, newval, oldval);
+            else notify.call(obj, newval, oldval);
+        });
+    }
+
+    if (desc.set) steps.store.push(desc.set);
+    pipelines.set(setter, line);
+
+    Object.defineProperty(target, prop, {
+        configurable: true,
+        enumerable: "enumerable" in desc ? desc.enumerable : true,
+        get: getter,
+        set: setter
+    });
+
+    return line;
+}
+
+/** rule kinds accepted by proxy */
+var proxyKinds = ["normalized", "readonly", "triggered", "validated"];
+
+/**
+ * Wrap an object in a Proxy which applies rules to every property matching a
+ * name pattern, including properties added after the object was wrapped.  Each
+ * rule has a kind and options named like a define schema:
+ *  kind: validated, normalized, triggered, or readonly
+ *  match: property name, list of names, regular expression, or predicate
+ *         called with the property name; every property matches if omitted
+ *  validator, normalizer, trigger: functions, as for define
+ *  options: options for validated or triggered
+ * Updates, including values defined with Object.defineProperty, pass through
+ * the normalizers, validators, and triggers of every matching rule in order,
+ * as they would through a pipeline.  Readonly
+ * properties may be assigned once, when they're added, and ignore updates
+ * after that.  Values are stored on the wrapped object as data properties.
+ * When a function is passed, a wrapped constructor is returned which wraps
+ * each instance it creates, passing the values the constructor assigned
+ * through the rules as if they were assigned to the wrapper.  The rules are
+ * checked up front and any problems are reported in a single
+ * PropertySchemaError.
+ * @param {object|function} target
+ * @param {object|object[]} rules
+ * @returns {Proxy}
+ */
+function proxy(target, rules) {
+    var errors = [];
+
+    rules = Array.isArray(rules) ? rules : [rules];
+    rules.forEach(function(rule, index) {
+        checkRule(rule).forEach(function(message) {
+            errors.push({property: index, message: message});
+        });
+    });
+
+    if (errors.length) throw new PropertySchemaError(errors);
+
+    if (typeof target === "function") return new Proxy(target, {
+        construct: function(Target, args, newTarget) {
+            return proxyInstance(Reflect.construct(Target, args, newTarget),
+                rules);
+        }
+    });
+
+    return proxyObject(target, rules);
+}
+
+/**
+ * Check a proxy rule and return a list of problems with it.
+ * @param {object} rule
+ * @returns {string[]}
+ */
+function checkRule(rule) {
+    var spec = {},
+        match, errors;
+
+    if (!rule || typeof rule !== "object") return ["expected rule object"];
+    if (proxyKinds.indexOf(rule.kind) < 0) {
+        return ["unknown rule kind " + JSON.stringify(rule.kind)];
+    }
+
+    Object.keys(rule).forEach(function(option) {
+        if (option !== "match") spec[option] = rule[option];
+    });
+
+    errors = checkSpec(spec);
+    match = rule.match;
+
+    if ("value" in spec) errors.push(rule.kind + " rule does not accept value");
+    if (match !== undefined && typeof match !== "string"
+            && typeof match !== "symbol" && typeof match !== "function"
+            && !Array.isArray(match) && !(match instanceof RegExp)) {
+        errors.push("match must be a name, list, pattern, or function");
+    }
+
+    return errors;
+}
+
+/**
+ * Check whether a property name matches a proxy rule.
+ * @param {object} rule
+ * @param {string|symbol} prop
+ * @returns {boolean}
+ */
+function ruleMatches(rule, prop) {
+    var match = rule.match;
+
+    if (match === undefined) return true;
+    if (typeof match === "function") return Boolean(match(prop));
+    if (Array.isArray(match)) return match.indexOf(prop) >= 0;
+    if (match instanceof RegExp) {
+        return typeof prop === "string" && match.test(prop);
+    }
+
+    return match === prop;
+}
+
+/**
+ * Gather the steps for a property from the proxy rules it matches.
+ * @param {object[]} rules
+ * @param {string|symbol} prop
+ * @returns {object}
+ */
+function ruleSteps(rules, prop) {
+    var steps = {readonly: false, normalize: [], validate: [], notify: []};
+
+    rules.filter(function(rule) {
+        return ruleMatches(rule, prop);
+    }).forEach(function(rule) {
+        var options = rule.options || {},
+            notify = rule.trigger;
+
+        if (rule.kind === "readonly") steps.readonly = true;
+        if (rule.kind === "triggered" && options.before) {
+            steps.normalize.push(beforeStep(prop, options.before));
+        }
+
+        if (rule.normalizer) steps.normalize.push(rule.normalizer);
+
+        if (rule.validator) steps.validate.push(rule.kind === "validated"
+            && (options.strict || options.onInvalid)
+            ? reportingValidator(prop, rule.validator, options)
+            : rule.validator
+        );
+
+        if (notify && rule.kind === "triggered") {
+            if (options.equals) notify = changeStep(notify, options.equals);
+            if (options.microtask) notify = microtaskStep(notify, prop);
+        }
+
+        if (notify) steps.notify.push(notify);
+    });
+
+    return steps;
+}
+
+/**
+ * Wrap an object in a Proxy which passes property updates, whether assigned or
+ * defined with Object.defineProperty, through the steps of the rules they
+ * match.  Defining a property with a value the rules reject, or with a getter
+ * or setter when the rules would check its value, fails.
+ * @param {object} obj
+ * @param {object[]} rules
+ * @returns {Proxy}
+ */
+function proxyObject(obj, rules) {
+    var cache = new Map(),
+        storing = [],
+        wrapped;
+
+    function stepsFor(prop) {
+        if (!cache.has(prop)) cache.set(prop, ruleSteps(rules, prop));
+        return cache.get(prop);
+    }
+
+    // normalize and validate a value, returning vetoed if it's rejected
+    function check(steps, receiver, newval, oldval) {
+        if (steps.normalize.some(function(normalize) {
+            newval = normalize.call(receiver, newval, oldval);
+            return newval === vetoed;
+        })) return vetoed;
+
+        if (!steps.validate.every(function(validate) {
+            return validate.call(receiver, newval) === true;
+        })) return vetoed;
+
+        return newval;
+    }
+
+    function notify(steps, receiver, prop, newval, oldval) {
+        steps.notify.forEach(function(change) {
+            if (pending) {
+                enqueue(pending, change, receiver, prop, newval, oldval);
+            } else {
+                change.call(receiver, newval, oldval);
+            }
+        });
+    }
+
+    wrapped = new Proxy(obj, {
+        set: function(target, prop, newval, receiver) {
+            var steps = stepsFor(prop),
+                oldval = Reflect.get(target, prop, receiver),
+                stored;
+
+            if (steps.readonly
+                    && Object.prototype.hasOwnProperty.call(target, prop)) {
+                return false;
+            }
+
+            newval = check(steps, receiver, newval, oldval);
+            if (newval === vetoed) return true;
+
+            // the update is checked already when it reaches defineProperty
+            storing.push(prop);
+            try {
+                stored = Reflect.set(target, prop, newval, receiver);
+            } finally {
+                storing.pop();
+            }
+
+            if (!stored) return false;
+            notify(steps, receiver, prop, newval, oldval);
+            return true;
+        },
+        defineProperty: function(target, prop, desc) {
+            var steps = stepsFor(prop),
+                oldval, newval;
+
+            if (storing[storing.length - 1] === prop
+                    || !("value" in desc || desc.get || desc.set)) {
+                return Reflect.defineProperty(target, prop, desc);
+            }
+
+            if (!("value" in desc)) {
+                return !steps.readonly && !steps.normalize.length
+                    && !steps.validate.length
+                    && Reflect.defineProperty(target, prop, desc);
+            }
+
+            if (steps.readonly
+                    && Object.prototype.hasOwnProperty.call(target, prop)) {
+                return false;
+            }
+
+            oldval = Reflect.get(target, prop, wrapped);
+            newval = check(steps, wrapped, desc.value, oldval);
+            if (newval === vetoed) return false;
+
+            if (!Reflect.defineProperty(target, prop,
+                    Object.assign({}, desc, {value: newval}))) {
+                return false;
+            }
+
+            notify(steps, wrapped, prop, newval, oldval);
+            return true;
+        }
+    });
+
+    return wrapped;
+}
+
+/**
+ * Wrap a newly constructed object in a Proxy for rules, then assign the own
+ * enumerable data properties its constructor added again through the Proxy.
+ * Values the rules reject are left unset.
+ * @param {object} obj
+ * @param {object[]} rules
+ * @returns {Proxy}
+ */
+function proxyInstance(obj, rules) {
+    var wrapped = proxyObject(obj, rules);
+
+    enumerableKeys(obj).forEach(function(prop) {
+        var desc = Object.getOwnPropertyDescriptor(obj, prop);
+
+        if (!("value" in desc) || !desc.writable || !desc.configurable) return;
+        delete obj[prop];
+        Reflect.set(wrapped, prop, desc.value);
+    });
+
+    return wrapped;
+}
+
+/**
+ * Check whether an argument is a standard decorator context object.
+ * @param {*} context
+ * @returns {boolean}
+ */
+function isDecoratorContext(context) {
+    return typeof context === "object" && context !== null
+        && typeof context.kind === "string" && "name" in context
+        && typeof context.addInitializer === "function";
+}
+
+/**
+ * Check whether a function was called without a property key, as a decorator
+ * factory like validated(validator, options) is.
+ * @param {Arguments} args
+ * @returns {boolean}
+ */
+function isDecoratorFactory(args) {
+    return args.length < 3 && typeof args[1] !== "string"
+        && typeof args[1] !== "symbol";
+}
+
+/**
+ * Create a standard decorator which applies a propertize function to the
+ * decorated class member.
+ * @param {function} fn
+ * @param {Array} args
+ * @returns {function}
+ */
+function decorator(fn, args) {
+    return function(value, context) {
+        return decorate(value, context, fn, args);
+    };
+}
+
+/**
+ * Apply a propertize function to a decorated class member, passing the object
+ * and member name followed by any other arguments.  Fields and auto-accessors
+ * are configured on each instance once they're initialized.  Getters and
+ * methods are replaced with the getter or method the function defines, and
+ * the prototype of the class which declared them is configured the first time
+ * an instance is created, as if the class had been passed to the function.
+ * Legacy decorators configure the class prototype right away.
+ * @param {*} value
+ * @param {object} context
+ * @param {function} fn
+ * @param {Array} args
+ * @returns {function|undefined}
+ */
+function decorate(value, context, fn, args) {
+    var name = context.name,
+        proto = legacyContexts.get(context),
+        member;
+
+    function apply(target) {
+        fn.apply(null, [target, name].concat(args));
+    }
+
+    if (context.static) {
+        throw new TypeError("cannot decorate static member " + String(name));
+    }
+
+    if (proto) return apply(proto.constructor);
+
+    switch (context.kind) {
+        case "field":
+        case "accessor":
+            return context.addInitializer(function() {
+                apply(this);
+            });
+        case "getter":
+        case "method":
+            member = decoratedMember(value, context, fn, args);
+            context.addInitializer(function() {
+                if (proto) return;
+
+                proto = memberOwner(this, name, member || value);
+                if (proto) apply(proto.constructor);
+            });
+
+            return member;
+    }
+
+    throw new TypeError("cannot decorate " + context.kind + " "
+        + String(name));
+}
+
+/**
+ * Apply a propertize function to a stand-in object holding a decorated getter
+ * or method, and return the getter or method it defines there, so the class is
+ * defined with it right away.
+ * @param {function} value
+ * @param {object} context
+ * @param {function} fn
+ * @param {Array} args
+ * @returns {function|undefined}
+ */
+function decoratedMember(value, context, fn, args) {
+    var name = context.name,
+        scratch = {},
+        desc, tags;
+
+    Object.defineProperty(scratch, name, context.kind === "getter"
+        ? {configurable: true, get: value}
+        : {configurable: true, writable: true, value: value});
+    fn.apply(null, [scratch, name].concat(args));
+
+    desc = Object.getOwnPropertyDescriptor(scratch, name);
+    tags = accessors.get(scratch);
+
+    if (context.kind === "method") {
+        return desc && typeof desc.value === "function"
+            ? desc.value
+            : undefined;
+    }
+
+    if (!desc || !desc.get) return undefined;
+    if (tags && tags.has(name)) decoratedGetters.set(desc.get, tags.get(name));
+    return desc.get;
+}
+
+/**
+ * Find the object on an instance's prototype chain which holds a decorated
+ * getter or method, skipping subclasses which override it.
+ * @param {object} obj
+ * @param {string|symbol} name
+ * @param {function} member
+ * @returns {object|undefined}
+ */
+function memberOwner(obj, name, member) {
+    var proto = Object.getPrototypeOf(obj),
+        desc;
+
+    while (proto) {
+        desc = Object.getOwnPropertyDescriptor(proto, name);
+        if (desc && (desc.get === member || desc.value === member)) {
+            return proto;
+        }
+
+        proto = Object.getPrototypeOf(proto);
+    }
+
+    return undefined;
+}
+
+/**
+ * Adapt a standard decorator, such as propertize.readonly or the decorator
+ * returned by propertize.validated(validator), for use as a legacy decorator,
+ * which is called with the class prototype, member name, and descriptor.  The
+ * member is configured on the prototype, as if the class had been passed to
+ * the function, and its new descriptor is returned.  A field's initializer is
+ * called for each instance, the first time the instance reads the field
+ * without having assigned it.
+ * @param {function} decorator
+ * @returns {function}
+ */
+function legacy(decorator) {
+    return function(proto, name, desc) {
+        var context = {
+                name: name,
+                static: typeof proto === "function",
+                addInitializer: function() {}
+            },
+            value, init;
+
+        if (desc && typeof desc.get === "function") {
+            context.kind = "getter";
+            value = desc.get;
+        } else if (desc && typeof desc.value === "function") {
+            context.kind = "method";
+            value = desc.value;
+        } else {
+            context.kind = "field";
+            init = desc && desc.initializer;
+            if (init) basic(proto, name);
+        }
+
+        legacyContexts.set(context, proto);
+        decorator(value, context);
+        desc = Object.getOwnPropertyDescriptor(proto, name);
+
+        if (init && desc && ("value" in desc || pipelines.has(desc.set))) {
+            instanceDefault(proto.constructor, name, kindOf(proto, name).kind,
+                init);
+        }
+
+        return Object.getOwnPropertyDescriptor(proto, name);
+    };
+}
+
+/**
+ * Move the own data properties of an object through the propertize accessors
+ * they shadow on its prototype chain.  Class fields are defined directly on
+ * each instance, hiding any validated, normalized, triggered, or other accessor
+ * configured on the class, so each such field is removed and its value is then
+ * assigned through the inherited setter.  Call this at the end of a
+ * constructor.  When a function is passed, a wrapped constructor is returned
+ * which installs each instance it creates.  Returns the list of properties
+ * which were moved, or the wrapped constructor.
+ * @param {object|function} target
+ * @returns {Array|function}
+ */
+function install(target) {
+    var proto;
+
+    if (typeof target === "function") return new Proxy(target, {
+        construct: function(Target, args, newTarget) {
+            var obj = Reflect.construct(Target, args, newTarget);
+            install(obj);
+            return obj;
+        }
+    });
+
+    proto = Object.getPrototypeOf(target);
+
+    return ownKeys(target).filter(function(prop) {
+        var own = Object.getOwnPropertyDescriptor(target, prop),
+            found = proto && describe(proto, prop, {owner: true}),
+            desc = found && found.descriptor,
+            tags = found && accessors.get(found.owner),
+            tag = tags && tags.get(prop);
+
+        if (!("value" in own) || !own.configurable || !desc) return false;
+
+        return Boolean(desc.set && pipelines.has(desc.set)
+            || tag && tag.get === desc.get && tag.set === desc.set);
+    }).map(function(prop) {
+        var val = target[prop];
+
+        delete target[prop];
+        target[prop] = val;
+        return prop;
+    });
+}
+
+/** options accepted by each schema kind, with required options marked true */
+var schemaKinds = {
+    value: {value: true},
+    configurable: {value: false},
+    enumerable: {value: false},
+    writable: {value: false},
+    get: {get: true},
+    set: {set: true},
+
+    attribute: {value: false},
+    basic: {value: false},
+    field: {value: false},
+    hidden: {value: false},
+    internal: {value: false},
+    locked: {value: false},
+    readonly: {value: false},
+    setting: {value: false},
+
+    derived: {derive: true, inverse: false, options: false},
+    managed: {set: true, get: true},
+    normalized: {value: false, normalizer: true, validator: false,
+        trigger: false},
+    triggered: {value: false, trigger: true, options: false, normalizer: false,
+        validator: false},
+    validated: {value: false, validator: true, options: false,
+        normalizer: false, trigger: false},
+    pipeline: {value: false, steps: false, normalizer: false,
+        validator: false, trigger: false}
+};
+
+/** schema options which must be functions */
+var schemaFunctions = ["derive", "get", "inverse", "normalizer", "set",
+    "trigger", "validator"];
+
+/**
+ * Configure many properties on an object from a schema.  The schema maps each
+ * property name to a kind, which is the name of a propertize function, or to
+ * an object with a kind and options for that kind:
+ *  value: value or flag passed to the function
+ *  validator, normalizer, trigger: functions for validated, normalized, and
+ *  triggered; accessor kinds accept all three
+ *  derive, inverse: functions for derived
+ *  get, set: functions for get, set, and managed
+ *  options: options for validated, derived, and triggered
+ *  steps: steps for pipeline
+ * The whole schema is checked before any property is configured, and every
+ * problem found is reported in a single PropertySchemaError.
+ * @param {object|function} target
+ * @param {object} schema
+ */
+function define(target, schema) {
+    var props = Object.keys(schema)
+            .concat(Object.getOwnPropertySymbols(schema)),
+        specs = {},
+        errors = [];
+
+    props.forEach(function(prop) {
+        var spec = schema[prop];
+
+        spec = typeof spec === "string" ? {kind: spec} : spec;
+        specs[prop] = spec;
+
+        checkSpec(spec).forEach(function(message) {
+            errors.push({property: prop, message: message});
+        });
+    });
+
+    if (errors.length) throw new PropertySchemaError(errors);
+
+    props.forEach(function(prop) {
+        applySpec(target, prop, specs[prop]);
+    });
+}
+
+/**
+ * Check a property schema and return a list of problems with it.
+ * @param {object} spec
+ * @returns {string[]}
+ */
+function checkSpec(spec) {
+    var errors = [],
+        options;
+
+    if (!spec || typeof spec !== "object") {
+        return ["expected kind name or object"];
+    }
+
+    if (!schemaKinds.hasOwnProperty(spec.kind)) {
+        return ["unknown kind " + JSON.stringify(spec.kind)];
+    }
+
+    options = schemaKinds[spec.kind];
+
+    Object.keys(options).forEach(function(option) {
+        if (options[option] && !(option in spec)) {
+            errors.push(spec.kind + " requires " + option);
+        }
+    });
+
+    Object.keys(spec).forEach(function(option) {
+        if (option === "kind") return;
+
+        if (!options.hasOwnProperty(option)) {
+            errors.push(spec.kind + " does not accept " + option);
+        } else if (schemaFunctions.indexOf(option) >= 0
+                && typeof spec[option] !== "function") {
+            errors.push(option + " must be a function");
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Configure an object property from a checked property schema.
+ * @param {object|function} target
+ * @param {string|symbol} prop
+ * @param {object} spec
+ */
+function applySpec(target, prop, spec) {
+    var hasVal = "value" in spec,
+        steps = [],
+        line;
+
+    switch (spec.kind) {
+        case "get": return get(target, prop, spec.get);
+        case "set": return set(target, prop, spec.set);
+        case "derived":
+            return spec.inverse
+                ? derived(target, prop, spec.derive, spec.inverse, spec.options)
+                : derived(target, prop, spec.derive, spec.options);
+        case "managed": return managed(target, prop, spec.set, spec.get);
+    }
+
+    if (!("normalizer" in schemaKinds[spec.kind])) {
+        return hasVal
+            ? module.exports[spec.kind](target, prop, spec.value)
+            : module.exports[spec.kind](target, prop);
+    }
+
+    // add steps for options other than the kind's own, then apply the kind
+    // itself last so its enumerable flag wins
+    if (spec.normalizer && spec.kind !== "normalized") {
+        steps.push({normalize: spec.normalizer});
+    }
+
+    if (spec.validator && spec.kind !== "validated") {
+        steps.push({validate: spec.validator});
+    }
+
+    if (spec.trigger && spec.kind !== "triggered") {
+        steps.push({notify: spec.trigger});
+    }
+
+    line = pipeline(target, prop, steps.concat(spec.steps || []));
+
+    switch (spec.kind) {
+        case "normalized":
+            if (hasVal) normalized(target, prop, spec.value, spec.normalizer);
+            else normalized(target, prop, spec.normalizer);
+            return;
+        case "validated":
+            if (hasVal) {
+                validated(target, prop, spec.value, spec.validator,
+                    spec.options);
+            } else validated(target, prop, spec.validator, spec.options);
+            return;
+        case "triggered":
+            triggered(target, prop, spec.trigger, spec.options);
+            break;
+    }
+
+    if (hasVal) line.storage.set(line.target, spec.value);
+}
+
+/** JSON Schema keywords which only annotate a schema */
+var jsonAnnotations = ["$comment", "$id", "$schema", "description", "examples",
+    "title", "writeOnly"];
+
+/** default value factories for nested JSON Schema objects, keyed by spec */
+var jsonDefaults = new WeakMap();
+
+/** JSON Schema keywords supported for properties */
+var jsonKeywords = ["const", "default", "enum", "exclusiveMaximum",
+    "exclusiveMinimum", "maxLength", "maximum", "minLength", "minimum",
+    "multipleOf", "pattern", "properties", "readOnly", "required", "type"];
+
+/** JSON Schema keywords which become validators */
+var jsonConstraints = ["const", "enum", "exclusiveMaximum", "exclusiveMinimum",
+    "maxLength", "maximum", "minLength", "minimum", "multipleOf", "pattern",
+    "type"];
+
+/**
+ * Configure properties on an object from a JSON Schema describing the object.
+ * Constraints on each property become a validator, "readOnly" properties are
+ * defined as readonly (or attribute, with the readOnly option), "default"
+ * becomes the initial value, and properties with their own object schemas are
+ * filled with sub-objects configured from those schemas.  The constraints of a
+ * "readOnly" property are reported as unsupported unless its default meets
+ * them, since the property is never validated.  When a function is
+ * passed, each instance gets its own sub-objects the first time it reads them.
+ * Options:
+ *  readOnly: kind used for "readOnly" properties; defaults to "readonly"
+ *  validated: options passed to validated
+ *  strict: throw a PropertySchemaError for unsupported keywords instead of
+ *          skipping them
+ * Returns a list of unsupported keywords, each with the dotted property path
+ * and the keyword.
+ * @param {object|function} target
+ * @param {object} schema
+ * @param {object} [options]
+ * @returns {object[]}
+ */
+function jsonSchema(target, schema, options) {
+    var unsupported = [],
+        props;
+
+    options = options || {};
+    props = jsonProperties(schema, "", options, unsupported);
+
+    if (options.strict && unsupported.length) {
+        throw new PropertySchemaError(unsupported.map(function(report) {
+            return {
+                property: report.property,
+                message: "unsupported keyword " + report.keyword
+            };
+        }));
+    }
+
+    define(target, props);
+
+    // each instance gets its own sub-objects rather than sharing the defaults
+    if (typeof target === "function") {
+        Object.keys(props).forEach(function(prop) {
+            var create = jsonDefaults.get(props[prop]),
+                kind = props[prop].kind;
+
+            if (create) instanceDefault(target, prop, kind, create);
+        });
+    }
+
+    return unsupported;
+}
+
+/**
+ * Convert a JSON Schema for an object into a schema for define.
+ * @param {object} schema
+ * @param {string} path
+ * @param {object} options
+ * @param {object[]} unsupported
+ * @returns {object}
+ */
+function jsonProperties(schema, path, options, unsupported) {
+    var properties = schema.properties || {},
+        required = schema.required || [],
+        props = {};
+
+    // keywords on nested object schemas are checked along with the property
+    if (!path) Object.keys(schema).forEach(function(keyword) {
+        if (jsonAnnotations.indexOf(keyword) >= 0) return;
+        if (["properties", "required", "type"].indexOf(keyword) >= 0) return;
+        unsupported.push({property: path, keyword: keyword});
+    });
+
+    Object.keys(properties).forEach(function(prop) {
+        props[prop] = jsonProperty(
+            properties[prop],
+            required.indexOf(prop) >= 0,
+            path ? path + "." + prop : prop,
+            options,
+            unsupported
+        );
+    });
+
+    return props;
+}
+
+/**
+ * Convert a JSON Schema for a single property into a property schema for
+ * define.
+ * @param {object} schema
+ * @param {boolean} required
+ * @param {string} path
+ * @param {object} options
+ * @param {object[]} unsupported
+ * @returns {object}
+ */
+function jsonProperty(schema, required, path, options, unsupported) {
+    var checks = [],
+        spec = {},
+        nested, create;
+
+    Object.keys(schema).forEach(function(keyword) {
+        if (jsonAnnotations.indexOf(keyword) >= 0) return;
+        if (jsonKeywords.indexOf(keyword) < 0
+                || keyword.indexOf("exclusive") === 0
+                && typeof schema[keyword] !== "number") {
+            unsupported.push({property: path, keyword: keyword});
+        }
+    });
+
+    if ("default" in schema) spec.value = schema.default;
+
+    if (required) checks.push(validators.not(
+        validators.type("undefined"), "expected value"
+    ));
+
+    if ("type" in schema) checks.push(jsonType(schema.type));
+    if ("enum" in schema) checks.push(validators.oneOf(schema.enum));
+    if ("const" in schema) checks.push(validators.oneOf([schema.const]));
+
+    if ("minimum" in schema || "maximum" in schema) {
+        checks.push(jsonOnly("number", validators.range(
+            schema.minimum, schema.maximum
+        )));
+    }
+
+    if (typeof schema.exclusiveMinimum === "number") {
+        checks.push(jsonOnly("number", validators.not(
+            validators.range(null, schema.exclusiveMinimum),
+            "expected number above " + schema.exclusiveMinimum
+        )));
+    }
+
+    if (typeof schema.exclusiveMaximum === "number") {
+        checks.push(jsonOnly("number", validators.not(
+            validators.range(schema.exclusiveMaximum),
+            "expected number below " + schema.exclusiveMaximum
+        )));
+    }
+
+    if ("multipleOf" in schema) {
+        checks.push(jsonOnly("number", function(val) {
+            var quotient = val / schema.multipleOf;
+
+            // allow for rounding, so 0.3 is a multiple of 0.1
+            return isFinite(quotient)
+                && Math.abs(quotient - Math.round(quotient)) < 1e-9
+                || "expected multiple of " + schema.multipleOf;
+        }));
+    }
+
+    if ("minLength" in schema || "maxLength" in schema) {
+        checks.push(jsonOnly("string", validators.length(
+            schema.minLength, schema.maxLength
+        )));
+    }
+
+    if ("pattern" in schema) {
+        checks.push(jsonOnly("string", validators.pattern(schema.pattern)));
+    }
+
+    if (schema.properties) {
+        nested = jsonProperties(schema, path, options, unsupported);
+        spec.normalizer = function(val) {
+            if (val && typeof val === "object") jsonApply(val, nested);
+            return val;
+        };
+
+        create = function() {
+            var val = jsonClone("default" in schema ? schema.default : {});
+
+            if (val && typeof val === "object") jsonApply(val, nested);
+            return val;
+        };
+        jsonDefaults.set(spec, create);
+        spec.value = create();
+    }
+
+    // read-only values are never validated, so only a valid default is fixed
+    if (schema.readOnly && checks.length && validators.and.apply(null, checks)
+            .call(undefined, spec.value) !== true) {
+        jsonConstraints.filter(function(keyword) {
+            return keyword in schema && !unsupported.some(function(report) {
+                return report.property === path && report.keyword === keyword;
+            });
+        }).concat(required ? ["required"] : []).forEach(function(keyword) {
+            unsupported.push({property: path, keyword: keyword});
+        });
+    }
+
+    if (schema.readOnly) {
+        spec.kind = options.readOnly || "readonly";
+        delete spec.normalizer;
+    } else if (checks.length) {
+        spec.kind = "validated";
+        spec.validator = validators.and.apply(null, checks);
+        if (options.validated) spec.options = options.validated;
+    } else if (spec.normalizer) {
+        spec.kind = "normalized";
+    } else {
+        spec.kind = "basic";
+    }
+
+    return spec;
+}
+
+/**
+ * Configure the properties of an object assigned to a property with a nested
+ * schema, keeping any values the object already has.
+ * @param {object} obj
+ * @param {object} props
+ */
+function jsonApply(obj, props) {
+    var specs = {};
+
+    Object.keys(props).forEach(function(prop) {
+        var create = jsonDefaults.get(props[prop]);
+
+        specs[prop] = Object.assign({}, props[prop]);
+        if (prop in obj) delete specs[prop].value;
+        else if (create) specs[prop].value = create();
+        else if ("value" in specs[prop]) {
+            specs[prop].value = jsonClone(specs[prop].value);
+        }
+    });
+
+    define(obj, specs);
+}
+
+/**
+ * Copy a JSON value, so that objects and arrays used as defaults aren't shared.
+ * @param {*} val
+ * @returns {*}
+ */
+function jsonClone(val) {
+    return val && typeof val === "object"
+        ? JSON.parse(JSON.stringify(val))
+        : val;
+}
+
+/**
+ * Create a validator for a JSON Schema type or list of types.
+ * @param {string|string[]} type
+ * @returns {function}
+ */
+function jsonType(type) {
+    var types = Array.isArray(type) ? type : [type];
+
+    return validators.or.apply(null, types.map(function(type) {
+        return type === "object"
+            ? validators.and(
+                validators.type("object"),
+                validators.not(validators.type("array"), "expected object")
+            )
+            : validators.type(type);
+    }));
+}
+
+/**
+ * Wrap a validator so that it only applies to values of one type, the way
+ * JSON Schema keywords do.
+ * @param {string} type
+ * @param {function} validator
+ * @returns {function}
+ */
+function jsonOnly(type, validator) {
+    return function(val) {
+        return typeof val !== type || validator.call(this, val);
+    };
+}
+
+/**
+ * Return the kind of an object property, which is the name of the propertize
+ * function that would configure it that way.  Data properties are identified
+ * by their flags.  Accessor properties are identified by the function which
+ * defined them, and their functions are included:
+ *  derived: derive, and inverse if there is one
+ *  computed: derive and deps
+ *  managed, or accessor for those defined by other means: get and set
+ *  validated, normalized, triggered, pipeline: validators, normalizers,
+ *  triggers, and stores, taken from the pipeline steps
+ * Pipelines report the kind of the function most recently applied to them.
+ * @param {object|function} target
+ * @param {string|symbol} prop
+ * @returns {object}
+ */
+function kind(target, prop) {
+    return kindOf(normalTarget(target), prop);
+}
+
+/**
+ * Return the kind of an object property without normalizing the target.
+ * @param {object} target
+ * @param {string|symbol} prop
+ * @returns {object}
+ */
+function kindOf(target, prop) {
+    var found = describe(target, prop, {owner: true}),
+        desc = found && found.descriptor,
+        line, tag;
+
+    if (!desc) return undefined;
+
+    if ("value" in desc) return {kind: presets[
+        [desc.configurable, desc.enumerable, desc.writable].map(Number).join("")
+    ]};
+
+    if ((line = desc.set && pipelines.get(desc.set))) return {
+        kind: line.kind,
+        validators: line.steps.validate.map(function(validator) {
+            return wrappedSteps.get(validator) || validator;
+        }),
+        normalizers: line.steps.normalize.map(function(normalizer) {
+            return wrappedSteps.get(normalizer) || normalizer;
+        }),
+        triggers: line.steps.notify.map(function(trigger) {
+            return wrappedSteps.get(trigger) || trigger;
+        }),
+        stores: line.steps.store.slice()
+    };
+
+    tag = accessors.has(found.owner) && accessors.get(found.owner).get(prop);
+    if (tag && tag.get === desc.get && tag.set === desc.set) {
+        return Object.assign({}, tag.info);
+    }
+
+    tag = desc.get && decoratedGetters.get(desc.get);
+    if (tag) return Object.assign({}, tag.info);
+
+    return {
+        kind: "accessor",
+        get: desc.get,
+        set: desc.set
+    };
+}
+
+/**
+ * Inspect every own and inherited property of an object, walking the same
+ * prototype chain as describe.  Each row in the returned list has the property
+ * name, the owner object in the chain and its depth, the configurable,
+ * enumerable, and writable flags, the kind, and whether the property is
+ * shadowed by another property closer to the object.  The list's toString
+ * method returns a text table.  Options are the same as for describe.
+ * @param {object|function} target
+ * @param {object} [options]
+ * @returns {object[]}
+ */
+function inspect(target, options) {
+    var rows = [],
+        seen = new Set(),
+        proto = normalTarget(target),
+        depth = 0;
+
+    options = options || {};
+
+    while (proto && (options.builtins || proto !== Object.prototype)) {
+        ownKeys(proto).forEach(function(prop) {
+            var desc = Object.getOwnPropertyDescriptor(proto, prop);
+
+            rows.push({
+                name: prop,
+                owner: proto,
+                depth: depth,
+                configurable: desc.configurable,
+                enumerable: desc.enumerable,
+                writable: "value" in desc ? desc.writable : undefined,
+                kind: kindOf(proto, prop).kind,
+                shadowed: seen.has(prop)
+            });
+
+            seen.add(prop);
+        });
+
+        proto = Object.getPrototypeOf(proto);
+        depth++;
+    }
+
+    hidden(rows, "toString", function() {
+        return formatInspection(rows);
+    });
+
+    return rows;
+}
+
+/**
+ * Format inspection rows as a text table.
+ * @param {object[]} rows
+ * @returns {string}
+ */
+function formatInspection(rows) {
+    var table = [["name", "owner", "flags", "kind", ""]],
+        widths = [];
+
+    rows.forEach(function(row) {
+        table.push([
+            String(row.name),
+            ownerName(row.owner, row.depth),
+            (row.configurable ? "c" : "-")
+                + (row.enumerable ? "e" : "-")
+                + (row.writable ? "w" : "-"),
+            row.kind,
+            row.shadowed ? "shadowed" : ""
+        ]);
+    });
+
+    table.forEach(function(cells) {
+        cells.forEach(function(cell, i) {
+            widths[i] = Math.max(widths[i] || 0, cell.length);
+        });
+    });
+
+    return table.map(function(cells) {
+        return cells.map(function(cell, i) {
+            return cell + new Array(widths[i] - cell.length + 1).join(" ");
+        }).join("  ").replace(/\s+$/, "");
+    }).join("\n");
+}
+
+/**
+ * Name an object in a prototype chain for an inspection table.
+ * @param {object} owner
+ * @param {number} depth
+ * @returns {string}
+ */
+function ownerName(owner, depth) {
+    var ctor = Object.getOwnPropertyDescriptor(owner, "constructor");
+
+    if (ctor && typeof ctor.value === "function" && ctor.value.name) {
+        return ctor.value.name + ".prototype";
+    }
+
+    return depth ? "prototype " + depth : "own";
+}
+
+/**
+ * Capture the own properties of an object, including their descriptors and the
+ * backing values of pipeline properties, so they can be put back by restore.
+ * Pipeline properties inherited from a prototype, which keep a value for each
+ * instance, are captured as inherited entries with just that value.
+ * @param {object|function} target
+ * @returns {object[]}
+ */
+function snapshot(target) {
+    var seen, proto, entries;
+
+    target = normalTarget(target);
+    seen = new Set(ownKeys(target));
+    proto = Object.getPrototypeOf(target);
+
+    entries = ownKeys(target).map(function(prop) {
+        var desc = Object.getOwnPropertyDescriptor(target, prop),
+            line = desc.set && pipelines.get(desc.set),
+            entry = {property: prop, descriptor: desc};
+
+        if (line && line.target === target) {
+            entry.backing = line.storage.get(target);
+        }
+
+        return entry;
+    });
+
+    while (proto && proto !== Object.prototype) {
+        ownKeys(proto).forEach(function(prop) {
+            var desc = Object.getOwnPropertyDescriptor(proto, prop),
+                line = desc.set && pipelines.get(desc.set),
+                entry = {property: prop, inherited: true};
+
+            if (seen.has(prop)) return;
+            seen.add(prop);
+            if (!line) return;
+
+            if (line.storage.has(target)) {
+                entry.backing = line.storage.get(target);
+            }
+
+            entries.push(entry);
+        });
+
+        proto = Object.getPrototypeOf(proto);
+    }
+
+    return entries;
+}
+
+/**
+ * Restore the own properties of an object from a snapshot, redefining every
+ * captured property and removing properties added since, then put back the
+ * values of captured inherited pipeline properties.  Properties which
+ * cannot be restored, usually because they have since become non-configurable,
+ * are skipped.  Returns a list of the skipped properties, each with the
+ * property name and a message.
+ * @param {object|function} target
+ * @param {object[]} snap
+ * @returns {object[]}
+ */
+function restore(target, snap) {
+    var errors = [],
+        captured = new Set();
+
+    target = normalTarget(target);
+
+    snap.forEach(function(entry) {
+        var desc = entry.descriptor,
+            line;
+
+        if (entry.inherited) return;
+        captured.add(entry.property);
+
+        try {
+            Object.defineProperty(target, entry.property, desc);
+        } catch (err) {
+            errors.push({
+                property: entry.property,
+                message: "cannot restore property " + String(entry.property)
+            });
+            return;
+        }
+
+        line = desc.set && pipelines.get(desc.set);
+        if ("backing" in entry && line) line.storage.set(target, entry.backing);
+    });
+
+    ownKeys(target).forEach(function(prop) {
+        if (captured.has(prop) || delete target[prop]) return;
+        errors.push({
+            property: prop,
+            message: "cannot remove property " + String(prop)
+        });
+    });
+
+    snap.forEach(function(entry) {
+        var desc = entry.inherited && describe(target, entry.property),
+            line = desc && desc.set && pipelines.get(desc.set);
+
+        if (!line) return;
+        if ("backing" in entry) line.storage.set(target, entry.backing);
+        else line.storage.delete(target);
+    });
+
+    return errors;
+}
+
+/**
+ * Return a plain object with the values of an object's properties, ready for
+ * JSON.stringify, including values which JSON.stringify would skip because
+ * they're inherited or non-enumerable.  Own enumerable data properties are
+ * always included, and symbol keys and function values never are.  Options:
+ *  accessors: include values of pipeline and managed properties, including
+ *             those inherited from a prototype (default true)
+ *  derived: include values of derived, computed, alias, and delegate
+ *           properties, and of lazy properties which have not been read yet
+ *  hidden: include own non-enumerable data properties, such as hidden and
+ *          internal properties
+ * @param {object|function} target
+ * @param {object} [options]
+ * @returns {object}
+ */
+function serialize(target, options) {
+    var obj = normalTarget(target),
+        data = {};
+
+    options = options || {};
+
+    inspect(obj).forEach(function(row) {
+        var val;
+
+        if (row.shadowed || typeof row.name === "symbol") return;
+        if (!serializable(row, obj, options)) return;
+
+        val = obj[row.name];
+        if (typeof val !== "function") data[row.name] = val;
+    });
+
+    return data;
+}
+
+/**
+ * Check whether serialize should include a property from an inspection row.
+ * @param {object} row
+ * @param {object} obj
+ * @param {object} options
+ * @returns {boolean}
+ */
+function serializable(row, obj, options) {
+    switch (row.kind) {
+        case "derived":
+        case "computed":
+        case "lazy":
+        case "alias":
+        case "delegate":
+            return Boolean(options.derived);
+        case "accessor":
+            return row.owner === obj && row.enumerable;
+    }
+
+    if (row.writable === undefined) return options.accessors !== false;
+    if (row.owner !== obj) return false;
+    return row.enumerable || Boolean(options.hidden);
+}
+
+/**
+ * Assign the values in a plain object, such as one parsed from JSON, to an
+ * object's properties.  Values are assigned through any setters, so they're
+ * validated, normalized, and triggered like any other update.  Read-only
+ * properties, such as locked, attribute, and derived properties without an
+ * inverse, are skipped, as are values rejected by a strict validator.  Returns
+ * a list of the skipped properties, each with the property name and a message.
+ * @param {object|function} target
+ * @param {object} data
+ * @returns {object[]}
+ */
+function hydrate(target, data) {
+    var obj = normalTarget(target),
+        errors = [];
+
+    enumerableKeys(data).forEach(function(prop) {
+        var desc = describe(obj, prop),
+            info = desc && kindOf(obj, prop);
+
+        if (desc && ("value" in desc ? !desc.writable : !desc.set
+                || info.kind === "derived" && !info.inverse)) {
+            errors.push({
+                property: prop,
+                message: "cannot assign to " + info.kind + " property "
+                    + String(prop)
+            });
+            return;
+        }
+
+        try {
+            obj[prop] = data[prop];
+        } catch (err) {
+            if (!(err instanceof PropertyValidationError)) throw err;
+            errors.push({property: prop, message: err.message});
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Return the current descriptor for an object property, which may be an own
+ * descriptor or a prototype descriptor.  The prototype chain is searched up to,
+ * but not including, Object.prototype.  Options:
+ *  builtins: search Object.prototype too
+ *  owner: return an object with the descriptor and the object which owns it
+ * @param {object|function} target
+ * @param {string|symbol} prop
+ * @param {object} [options]
+ * @returns {object}
+ */
+function describe(target, prop, options) {
+    var proto = target,
+        desc;
+
+    options = options || {};
+
+    do {
+        if ((desc = Object.getOwnPropertyDescriptor(proto, prop))) break;
+        proto = Object.getPrototypeOf(proto);
+    } while (proto && (options.builtins || proto !== Object.prototype));
+
+    if (!desc || !options.owner) return desc;
+    return {descriptor: desc, owner: proto};
+}
+
+/** export propertize functions */
+module.exports = {
+    value: value,
+    configurable: configurable,
+    enumerable: enumerable,
+    writable: writable,
+    get: get,
+    set: set,
+    
+    attribute: attribute,
+    basic: basic,
+    field: field,
+    hidden: hidden,
+    internal: internal,
+    locked: locked,
     readonly: readonly,
     setting: setting,
 
+    all: all,
+    deep: deep,
+
+    alias: alias,
+    computed: computed,
+    delegate: delegate,
     derived: derived,
+    lazy: lazy,
     managed: managed,
     normalized: normalized,
     triggered: triggered,
     validated: validated,
 
-    describe: describe
+    observe: observe,
+    pipeline: pipeline,
+    proxy: proxy,
+
+    install: install,
+    legacy: legacy,
+
+    batch: batch,
+    history: history,
+
+    normalizers: normalizers,
+    validators: validators,
+
+    define: define,
+    describe: describe,
+    hydrate: hydrate,
+    invalidate: invalidate,
+    jsonSchema: jsonSchema,
+    inspect: inspect,
+    kind: kind,
+    restore: restore,
+    serialize: serialize,
+    snapshot: snapshot,
+
+    PropertySchemaError: PropertySchemaError,
+    PropertyValidationError: PropertyValidationError
 };
@@ -0,0 +1,117 @@
+var prop = require(".."),
+    normalizers = prop.normalizers,
+    expect = require("expect.js");
+
+describe("propertize.normalizers", function() {
+    describe(".int", function() {
+        it("should convert values to integers", function() {
+            var normalize = normalizers.int();
+
+            expect(normalize("42")).to.be(42);
+            expect(normalize(42.7)).to.be(42);
+            expect(normalize("1e3")).to.be(1000);
+            expect(isNaN(normalize("foo"))).to.be(true);
+            expect(isNaN(normalize("12abc"))).to.be(true);
+            expect(isNaN(normalize(""))).to.be(true);
+            expect(isNaN(normalize(Infinity))).to.be(true);
+        });
+
+        it("should use fallback for invalid values", function() {
+            expect(normalizers.int({fallback: 0})("foo")).to.be(0);
+            expect(normalizers.int({fallback: 0})("12abc")).to.be(0);
+            expect(normalizers.int({fallback: 0})(-Infinity)).to.be(0);
+            expect(normalizers.int({fallback: "keep"})("foo", 13)).to.be(13);
+        });
+    });
+
+    describe(".number", function() {
+        it("should convert values to numbers", function() {
+            var normalize = normalizers.number({fallback: "keep"});
+
+            expect(normalize("4.2")).to.be(4.2);
+            expect(normalize("foo", 13)).to.be(13);
+        });
+
+        it("should reject partial and infinite numbers", function() {
+            var normalize = normalizers.number({fallback: 0});
+
+            expect(isNaN(normalizers.number()("12abc"))).to.be(true);
+            expect(normalize("0x10")).to.be(16);
+            expect(normalize("12abc")).to.be(0);
+            expect(normalize(" ")).to.be(0);
+            expect(normalize(Infinity)).to.be(0);
+            expect(normalize("-1e3")).to.be(-1000);
+        });
+    });
+
+    describe(".string", function() {
+        it("should convert values to strings", function() {
+            expect(normalizers.string()(42)).to.be("42");
+            expect(normalizers.string()(null)).to.be(null);
+        });
+    });
+
+    describe(".boolean", function() {
+        it("should convert values to booleans", function() {
+            expect(normalizers.boolean()(1)).to.be(true);
+            expect(normalizers.boolean()("")).to.be(false);
+        });
+    });
+
+    describe(".trim", function() {
+        it("should trim strings", function() {
+            expect(normalizers.trim()("  foo ")).to.be("foo");
+            expect(normalizers.trim()(42)).to.be(42);
+        });
+    });
+
+    describe(".lowercase", function() {
+        it("should lower case strings", function() {
+            expect(normalizers.lowercase()("FOO")).to.be("foo");
+        });
+    });
+
+    describe(".uppercase", function() {
+        it("should upper case strings", function() {
+            expect(normalizers.uppercase()("foo")).to.be("FOO");
+        });
+    });
+
+    describe(".clamp", function() {
+        it("should limit numbers to range", function() {
+            var normalize = normalizers.clamp(0, 10);
+
+            expect(normalize(-1)).to.be(0);
+            expect(normalize(5)).to.be(5);
+            expect(normalize(11)).to.be(10);
+        });
+    });
+
+    describe(".defaults", function() {
+        it("should replace null and undefined", function() {
+            expect(normalizers.defaults("foo")(undefined)).to.be("foo");
+            expect(normalizers.defaults("foo")("")).to.be("");
+        });
+    });
+
+    describe(".chain", function() {
+        it("should apply normalizers in order", function() {
+            var normalize = normalizers.chain(
+                normalizers.trim(),
+                normalizers.lowercase()
+            );
+
+            expect(normalize("  FOO ")).to.be("foo");
+        });
+    });
+
+    it("should plug into normalized properties", function() {
+        var obj = {};
+
+        prop.normalized(obj, "foo", 1, normalizers.int({fallback: "keep"}));
+        obj.foo = "42";
+        expect(obj.foo).to.be(42);
+        obj.foo = "foo";
+        expect(obj.foo).to.be(42);
+    });
+});
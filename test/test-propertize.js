@@ -59,12 +59,66 @@ describe("propertize", function() {
         };
     }
 
+    function testSymbol(fn) {
+        return function() {
+            var key = Symbol("a"),
+                obj = {};
+
+            obj[key] = 1;
+            prop[fn](obj, key, 2);
+            expect(obj[key]).to.be(2);
+            expect(Object.getOwnPropertySymbols(obj)).to.eql([key]);
+        };
+    }
+
+    function testAutoSymbol(fn) {
+        return function() {
+            var obj = {},
+                key = prop[fn](obj, "a", 1, {autoSymbol: true});
+
+            expect(key).to.be.a("symbol");
+            expect(key.toString()).to.be("Symbol(a)");
+            expect(obj[key]).to.be(1);
+            expect(obj).to.not.have.property("a");
+            expect(prop[fn](obj, "a", 1, {autoSymbol: true})).to.not.be(key);
+        };
+    }
+
+    function testPerInstance(fn, handler) {
+        return function() {
+            var Type = function() {},
+                Sub = function() {},
+                a, b;
+
+            prop[fn](Type, "a", 1, handler);
+            a = new Type();
+            b = new Type();
+
+            a.a = 2;
+            expect(a.a).to.be(2);
+            expect(b.a).to.be(1);
+            expect(Type.prototype.a).to.be(1);
+
+            Type.prototype.a = 3;
+            expect(a.a).to.be(2);
+            expect(b.a).to.be(3);
+            expect(Object.create(a).a).to.be(2);
+
+            Sub.prototype = Object.create(Type.prototype);
+            Sub.prototype.a = 5;
+            expect(new Sub().a).to.be(5);
+            expect(new Type().a).to.be(3);
+        };
+    }
+
     describe(".basic", function() {
         it("should add a new property", testAdd("basic"));
         
         it("should update an existing property", testUpdate("basic"));
 
         it("should update function prototype", testFunctionTarget("basic"));
+
+        it("should accept symbol keys", testSymbol("basic"));
     });
 
     describe(".field", function() {
@@ -75,6 +129,8 @@ describe("propertize", function() {
         it("should prevent further configuration", testNoConfig("field"));
 
         it("should update function prototype", testFunctionTarget("field"));
+
+        it("should accept symbol keys", testSymbol("field"));
     });
     
     describe(".hidden", function() {
@@ -85,6 +141,10 @@ describe("propertize", function() {
         it("should prevent property enumeration", testNoEnumerate("hidden"));
 
         it("should update function prototype", testFunctionTarget("hidden"));
+
+        it("should accept symbol keys", testSymbol("hidden"));
+
+        it("should define auto-symbol keys", testAutoSymbol("hidden"));
     });
 
     describe(".readonly", function() {
@@ -95,6 +155,8 @@ describe("propertize", function() {
         it("should prevent writing to the property", testNoWrite("readonly"));
 
         it("should update function prototype", testFunctionTarget("readonly"));
+
+        it("should accept symbol keys", testSymbol("readonly"));
     });
 
     describe(".internal", function()  {
@@ -107,6 +169,10 @@ describe("propertize", function() {
         it("should prevent writing to the property", testNoWrite("internal"));
 
         it("should update function prototype", testFunctionTarget("internal"));
+
+        it("should accept symbol keys", testSymbol("internal"));
+
+        it("should define auto-symbol keys", testAutoSymbol("internal"));
     });
 
     describe(".attribute", function() {
@@ -119,6 +185,8 @@ describe("propertize", function() {
         it("should prevent writing to the property", testNoWrite("attribute"));
 
         it("should update function prototype", testFunctionTarget("attribute"));
+
+        it("should accept symbol keys", testSymbol("attribute"));
     });
     
     describe(".setting", function() {
@@ -131,6 +199,8 @@ describe("propertize", function() {
         it("should prevent property enumeration", testNoEnumerate("setting"));
 
         it("should update function prototype", testFunctionTarget("setting"));
+
+        it("should accept symbol keys", testSymbol("setting"));
     });
     
     describe(".locked", function() {
@@ -145,6 +215,10 @@ describe("propertize", function() {
         it("should prevent writing to the property", testNoWrite("locked"));
 
         it("should update function prototype", testFunctionTarget("locked"));
+
+        it("should accept symbol keys", testSymbol("locked"));
+
+        it("should define auto-symbol keys", testAutoSymbol("locked"));
     });
 
     describe(".value", function() {
@@ -169,8 +243,338 @@ describe("propertize", function() {
         });
 
         it("should update function prototype", testFunctionTarget("value"));
+
+        it("should accept symbol keys", testSymbol("value"));
     });    
 
+    describe("symbol keys", function() {
+        var key = Symbol("foo");
+
+        it("should update flags", function() {
+            var obj = {};
+
+            obj[key] = 42;
+            prop.enumerable(obj, key, false);
+            prop.writable(obj, key, false);
+            prop.configurable(obj, key, false);
+            expect(Object.getOwnPropertyDescriptor(obj, key)).to.eql({
+                configurable: false,
+                enumerable: false,
+                writable: false,
+                value: 42
+            });
+        });
+
+        it("should update getter and setter", function() {
+            var obj = {},
+                setter = sinon.spy();
+
+            prop.get(obj, key, function() {return 42;});
+            prop.set(obj, key, setter);
+            obj[key] = 23;
+            expect(obj[key]).to.be(42);
+            expect(setter.calledWith(23)).to.be(true);
+        });
+
+        it("should configure validated properties", function() {
+            var obj = {};
+
+            prop.validated(obj, key, 1, function(val) {return val > 0;});
+            obj[key] = -1;
+            expect(obj[key]).to.be(1);
+            obj[key] = 2;
+            expect(obj[key]).to.be(2);
+        });
+
+        it("should configure normalized properties", function() {
+            var obj = {};
+
+            prop.normalized(obj, key, Number);
+            obj[key] = "42";
+            expect(obj[key]).to.be(42);
+        });
+
+        it("should configure triggered properties", function() {
+            var obj = {},
+                trigger = sinon.spy();
+
+            prop.triggered(obj, key, trigger);
+            obj[key] = 42;
+            expect(obj[key]).to.be(42);
+            expect(trigger.calledWith(42)).to.be(true);
+        });
+
+        it("should configure derived properties", function() {
+            var obj = {};
+
+            prop.derived(obj, key, function() {return 42;});
+            expect(obj[key]).to.be(42);
+            expect(prop.kind(obj, key).kind).to.be("derived");
+        });
+
+        it("should configure managed properties", function() {
+            var obj = {},
+                val;
+
+            prop.managed(obj, key,
+                function(newval) {val = newval;},
+                function() {return val;}
+            );
+            obj[key] = 42;
+            expect(obj[key]).to.be(42);
+        });
+
+        it("should configure properties from schema", function() {
+            var obj = {},
+                schema = {};
+
+            schema[key] = {kind: "locked", value: 42};
+            prop.define(obj, schema);
+            expect(obj[key]).to.be(42);
+            expect(prop.kind(obj, key).kind).to.be("locked");
+        });
+    });
+
+    describe("bulk properties", function() {
+        it("should apply presets to a list of properties", function() {
+            var obj = {foo: 42, bar: 13, baz: 23};
+
+            prop.readonly(obj, ["foo", "bar"]);
+            expect(Object.getOwnPropertyDescriptor(obj, "foo").writable)
+                .to.be(false);
+            expect(Object.getOwnPropertyDescriptor(obj, "bar").writable)
+                .to.be(false);
+            expect(Object.getOwnPropertyDescriptor(obj, "baz").writable)
+                .to.be(true);
+            expect(obj.foo).to.be(42);
+            expect(obj.bar).to.be(13);
+        });
+
+        it("should apply presets to a map of values", function() {
+            var obj = {};
+
+            prop.locked(obj, {foo: 42, bar: 13});
+            expect(obj.foo).to.be(42);
+            expect(obj.bar).to.be(13);
+            expect(prop.kind(obj, "foo").kind).to.be("locked");
+            expect(prop.kind(obj, "bar").kind).to.be("locked");
+        });
+
+        it("should pass options along", function() {
+            var obj = {},
+                keys = prop.hidden(obj, {foo: 42}, {autoSymbol: true});
+
+            expect(keys).to.have.length(1);
+            expect(keys[0]).to.be.a("symbol");
+            expect(obj[keys[0]]).to.be(42);
+            expect(obj).to.not.have.property("foo");
+        });
+
+        it("should update flags for a list of properties", function() {
+            var obj = {foo: 42, bar: 13};
+
+            prop.enumerable(obj, ["foo", "bar"], false);
+            expect(Object.keys(obj)).to.eql([]);
+            prop.enumerable(obj, ["foo"]);
+            expect(Object.keys(obj)).to.eql(["foo"]);
+        });
+
+        it("should update flags from a map", function() {
+            var obj = {foo: 42, bar: 13};
+
+            prop.writable(obj, {foo: false, bar: true});
+            expect(Object.getOwnPropertyDescriptor(obj, "foo").writable)
+                .to.be(false);
+            expect(Object.getOwnPropertyDescriptor(obj, "bar").writable)
+                .to.be(true);
+        });
+
+        it("should accept function target", function() {
+            function Foo() {}
+            Foo.prototype.foo = 42;
+            Foo.prototype.bar = 13;
+
+            prop.attribute(Foo, ["foo", "bar"]);
+            expect(prop.kind(Foo, "foo").kind).to.be("attribute");
+            expect(prop.kind(Foo, "bar").kind).to.be("attribute");
+        });
+    });
+
+    describe(".all", function() {
+        it("should apply preset to every own property", function() {
+            var obj = Object.create({inherited: 1}),
+                applied;
+
+            obj.foo = 42;
+            obj.bar = 13;
+            applied = prop.all(obj, "readonly");
+            expect(applied).to.eql(["foo", "bar"]);
+            expect(prop.kind(obj, "foo").kind).to.be("readonly");
+            expect(prop.kind(obj, "bar").kind).to.be("readonly");
+            expect(obj).to.not.have.own.property("inherited");
+            expect(obj.foo).to.be(42);
+        });
+
+        it("should filter properties by list", function() {
+            var obj = {foo: 42, bar: 13};
+
+            expect(prop.all(obj, "locked", ["bar", "baz"])).to.eql(["bar"]);
+            expect(prop.kind(obj, "foo").kind).to.be("basic");
+            expect(prop.kind(obj, "bar").kind).to.be("locked");
+        });
+
+        it("should filter properties by pattern", function() {
+            var obj = {_foo: 42, _bar: 13, baz: 23};
+
+            expect(prop.all(obj, "hidden", /^_/)).to.eql(["_foo", "_bar"]);
+            expect(Object.keys(obj)).to.eql(["baz"]);
+        });
+
+        it("should filter properties by predicate", function() {
+            var obj = {foo: 42, bar: "bar"},
+                filter = sinon.spy(function(name, desc) {
+                    return typeof desc.value === "number";
+                });
+
+            expect(prop.all(obj, "setting", filter)).to.eql(["foo"]);
+            expect(filter.calledWith("bar")).to.be(true);
+            expect(prop.kind(obj, "foo").kind).to.be("setting");
+            expect(prop.kind(obj, "bar").kind).to.be("basic");
+        });
+
+        it("should accept function target", function() {
+            function Foo() {}
+            Foo.prototype.foo = 42;
+
+            prop.all(Foo, "attribute", ["foo"]);
+            expect(prop.kind(Foo, "foo").kind).to.be("attribute");
+        });
+
+        it("should reject unknown presets", function() {
+            expect(function() {
+                prop.all({foo: 42}, "derived");
+            }).to.throwError(function(err) {
+                expect(err).to.be.a(TypeError);
+            });
+        });
+    });
+
+    describe(".deep", function() {
+        it("should apply preset to nested objects", function() {
+            var obj = {foo: {bar: {baz: 42}}};
+
+            expect(prop.deep("attribute", obj)).to.be(obj);
+            expect(prop.kind(obj, "foo").kind).to.be("attribute");
+            expect(prop.kind(obj.foo, "bar").kind).to.be("attribute");
+            expect(prop.kind(obj.foo.bar, "baz").kind).to.be("attribute");
+            obj.foo.bar.baz = 13;
+            expect(obj.foo.bar.baz).to.be(42);
+            expect(Object.keys(obj.foo.bar)).to.eql(["baz"]);
+        });
+
+        it("should handle cyclic references", function() {
+            var obj = {foo: 42};
+
+            obj.self = obj;
+            obj.child = {parent: obj};
+            prop.deep("readonly", obj);
+            expect(prop.kind(obj, "self").kind).to.be("readonly");
+            expect(prop.kind(obj.child, "parent").kind).to.be("readonly");
+        });
+
+        it("should leave arrays alone by default", function() {
+            var obj = {list: [{foo: 42}]};
+
+            prop.deep("locked", obj);
+            expect(prop.kind(obj, "list").kind).to.be("locked");
+            obj.list.push(13);
+            expect(obj.list).to.have.length(2);
+            expect(prop.kind(obj.list[0], "foo").kind).to.be("basic");
+        });
+
+        it("should optionally include arrays", function() {
+            var obj = {list: [{foo: 42}]};
+
+            prop.deep("attribute", obj, {arrays: true});
+            expect(prop.kind(obj.list, 0).kind).to.be("attribute");
+            expect(prop.kind(obj.list[0], "foo").kind).to.be("attribute");
+            expect(function() {obj.list.push(13);}).to.throwError();
+            expect(obj.list).to.have.length(1);
+        });
+
+        it("should optionally include Maps and Sets", function() {
+            var item = {foo: 42},
+                obj = {map: new Map([["item", item]]), set: new Set([item])};
+
+            prop.deep("attribute", obj, {collections: true});
+            expect(prop.kind(item, "foo").kind).to.be("attribute");
+            expect(function() {obj.map.set("bar", 13);}).to.throwError();
+            expect(function() {obj.set.add(13);}).to.throwError();
+            expect(function() {obj.set.clear();}).to.throwError();
+            expect(obj.map.get("item")).to.be(item);
+            expect(obj.set.size).to.be(1);
+            expect(Object.keys(obj.map)).to.eql([]);
+        });
+
+        it("should leave writable collections mutable", function() {
+            var obj = {set: new Set([{foo: 42}])};
+
+            prop.deep("field", obj, {collections: true});
+            obj.set.add(13);
+            expect(obj.set.size).to.be(2);
+        });
+
+        it("should accept function target", function() {
+            function Foo() {}
+            Foo.prototype.defaults = {foo: 42};
+
+            prop.deep("attribute", Foo);
+            expect(prop.kind(Foo, "defaults").kind).to.be("attribute");
+            expect(prop.kind(Foo.prototype.defaults, "foo").kind)
+                .to.be("attribute");
+        });
+
+        it("should reject unknown presets", function() {
+            expect(function() {
+                prop.deep("derived", {});
+            }).to.throwError(function(err) {
+                expect(err).to.be.a(TypeError);
+            });
+        });
+
+        it("should skip frozen objects", function() {
+            var obj = {foo: Object.freeze({bar: 1}), baz: {qux: 2}};
+
+            Object.defineProperty(obj.baz, "quux", {writable: true, value: 3});
+            prop.deep("locked", obj);
+            expect(prop.kind(obj, "foo").kind).to.be("locked");
+            expect(prop.kind(obj.baz, "qux").kind).to.be("locked");
+            expect(prop.kind(obj.baz, "quux").kind).to.be("locked");
+        });
+
+        it("should report properties which cannot be configured", function() {
+            var obj = {foo: {bar: 1}, baz: {qux: 2}};
+
+            Object.defineProperty(obj.foo, "set", {
+                enumerable: true,
+                get: function() {},
+                set: function() {}
+            });
+
+            expect(function() {
+                prop.deep("readonly", obj);
+            }).to.throwError(function(err) {
+                expect(err).to.be.a(prop.PropertySchemaError);
+                expect(err.errors).to.eql([{
+                    property: "foo.set",
+                    message: "cannot apply readonly to non-configurable setter"
+                }]);
+            });
+            expect(prop.kind(obj.foo, "bar").kind).to.be("readonly");
+            expect(prop.kind(obj.baz, "qux").kind).to.be("readonly");
+        });
+    });
+
     describe(".configurable", function() {
         it("should update existing property configurable flag", function() {
             var obj = {},
@@ -322,6 +726,60 @@ describe("propertize", function() {
             obj.foo = "foo";
             expect(spy.callCount).to.be(2);
         });
+
+        it("should throw for invalid updates in strict mode", function() {
+            var obj = {},
+                err;
+
+            prop.validated(obj, "foo", 1, function(val) {
+                return typeof val === "number" || "foo must be a number";
+            }, {strict: true});
+
+            try {obj.foo = "FOO";} catch (e) {err = e;}
+            expect(err).to.be.a(prop.PropertyValidationError);
+            expect(err).to.be.an(Error);
+            expect(err.target).to.be(obj);
+            expect(err.property).to.be("foo");
+            expect(err.value).to.be("FOO");
+            expect(err.message).to.be("foo must be a number");
+            expect(obj.foo).to.be(1);
+        });
+
+        it("should report invalid updates to onInvalid", function() {
+            var obj = {},
+                onInvalid = sinon.spy();
+
+            prop.validated(obj, "foo", 1, function(val) {
+                return typeof val === "number";
+            }, {onInvalid: onInvalid});
+
+            obj.foo = "FOO";
+            expect(obj.foo).to.be(1);
+            expect(onInvalid.callCount).to.be(1);
+            expect(onInvalid.calledOn(obj)).to.be(true);
+            expect(onInvalid.args[0][0].value).to.be("FOO");
+        });
+
+        it("should optionally validate the initial value", function() {
+            var obj = {foo: 1};
+
+            prop.validated(obj, "foo", "FOO", function(val) {
+                return typeof val === "number";
+            }, {initial: true});
+            expect(obj.foo).to.be(1);
+
+            expect(function() {
+                prop.validated({}, "foo", "FOO", function(val) {
+                    return typeof val === "number";
+                }, {initial: true, strict: true});
+            }).to.throwError(function(err) {
+                expect(err).to.be.a(prop.PropertyValidationError);
+            });
+        });
+
+        it("should keep separate values for each instance", testPerInstance(
+            "validated", function(val) {return true;}
+        ));
     });
     
     describe(".normalized", function() {
@@ -373,6 +831,10 @@ describe("propertize", function() {
             obj.foo = "42";
             expect(spy.calledWith(42)).to.be(true);
         });
+
+        it("should keep separate values for each instance", testPerInstance(
+            "normalized", function(val) {return val;}
+        ));
     });
     
     describe(".derived", function() {
@@ -381,87 +843,2291 @@ describe("propertize", function() {
             prop.derived(obj, "bar", function() {return this.foo + 1;});
             expect(obj.bar).to.be(2);
         });
+
+        it("should ignore assignment without inverse", function() {
+            var obj = {foo: 1};
+
+            prop.derived(obj, "bar", function() {return this.foo + 1;});
+            obj.bar = 42;
+            expect(obj.bar).to.be(2);
+        });
+
+        it("should pass assignments to inverse", function() {
+            var obj = {fname: "A", lname: "B"};
+
+            prop.derived(obj, "name", function() {
+                return this.fname + " " + this.lname;
+            }, function(val) {
+                var names = val.split(" ");
+                this.fname = names[0];
+                this.lname = names[1];
+            });
+
+            obj.name = "C D";
+            expect(obj.fname).to.be("C");
+            expect(obj.lname).to.be("D");
+            expect(obj.name).to.be("C D");
+        });
+
+        it("should optionally throw on assignment", function() {
+            var obj = {foo: 1};
+
+            prop.derived(obj, "bar", function() {return this.foo + 1;}, {
+                strict: true
+            });
+
+            expect(function() {obj.bar = 42;}).to.throwError(function(err) {
+                expect(err).to.be.a(TypeError);
+            });
+            expect(obj.bar).to.be(2);
+        });
     });
     
-    describe(".managed", function() {
-        it("should add new property with getter/setter", function() {
-            var obj = {},
-                val = 0,
-                called = false;
-                
-            prop.managed(
-                obj, "foo",
-                function(newval) {val = newval; called = true},
-                function() {return val;}
-            );
-            
-            obj.foo = "bar";
-            expect(obj.foo).to.be("bar");
-            expect(called).to.be(true);
+    describe(".computed", function() {
+        it("should cache derived value", function() {
+            var obj = {foo: 1},
+                derive = sinon.spy(function() {return this.foo + 1;});
+
+            prop.computed(obj, "bar", ["foo"], derive);
+            expect(obj.bar).to.be(2);
+            expect(obj.bar).to.be(2);
+            expect(derive.callCount).to.be(1);
         });
-    });
 
-    describe(".triggered", function() {
-        it("should trigger callback when property is changed", function() {
-            var obj = {foo: 42},
-                called = false;
+        it("should invalidate when a dependency is set", function() {
+            var obj = {foo: 1, baz: 1},
+                derive = sinon.spy(function() {return this.foo + 1;});
 
-            prop.triggered(obj, "foo", function(is, was) {
-                called = true;
-                expect(this).to.be(obj);
-                expect(is).to.be(43);
-                expect(was).to.be(42);
+            prop.computed(obj, "bar", ["foo"], derive);
+            expect(obj.bar).to.be(2);
+            obj.baz = 2;
+            expect(obj.bar).to.be(2);
+            obj.foo = 2;
+            expect(obj.bar).to.be(3);
+            expect(derive.callCount).to.be(2);
+        });
+
+        it("should cache values for each instance", function() {
+            var Type = function(foo) {this.foo = foo;},
+                a, b;
+
+            prop.computed(Type, "bar", ["foo"], function() {
+                return this.foo * 2;
             });
+            a = new Type(1);
+            b = new Type(2);
 
-            obj.foo = 43;
-            expect(obj.foo).to.be(43);
-            expect(called).to.be(true);
+            expect(a.bar).to.be(2);
+            expect(b.bar).to.be(4);
+            a.foo = 3;
+            expect(a.bar).to.be(6);
+            expect(b.bar).to.be(4);
         });
 
-        it("should work with getter/setter", function() {
-            var obj = {},
-                setter = sinon.spy(),
-                trigger = sinon.spy();
+        it("should be invalidated manually", function() {
+            var Type = function() {this.items = [1];},
+                a = new Type(),
+                b = new Type();
 
-            prop.set(obj, "foo", setter);
-            expect(setter.callCount).to.be(0);
-            expect(trigger.callCount).to.be(0);
+            prop.computed(Type, "count", ["items"], function() {
+                return this.items.length;
+            });
 
-            obj.foo = 13;
-            expect(setter.callCount).to.be(1);
+            expect(a.count).to.be(1);
+            expect(b.count).to.be(1);
 
-            prop.triggered(obj, "foo", trigger);
+            a.items.push(2);
+            b.items.push(2);
+            expect(a.count).to.be(1);
 
-            obj.foo = 23;
-            expect(setter.callCount).to.be(2);
-            expect(trigger.callCount).to.be(1);
+            prop.invalidate(a, "count");
+            expect(a.count).to.be(2);
+            expect(b.count).to.be(1);
+
+            prop.invalidate(Type, "count");
+            expect(b.count).to.be(2);
         });
-    });
 
-    describe(".describe", function() {
-        it("should return own property descriptor", function() {
-            var obj = {foo:42},
-                desc = prop.describe(obj, "foo");
+        it("should report its kind", function() {
+            var obj = {foo: 1},
+                derive = function() {return this.foo;};
 
-            expect(desc.value).to.be(42);
-            expect(desc.writable).to.be(true);
-            expect(desc.configurable).to.be(true);
-            expect(desc.enumerable).to.be(true);
+            prop.computed(obj, "bar", ["foo"], derive);
+            expect(prop.kind(obj, "bar")).to.eql({
+                kind: "computed",
+                derive: derive,
+                deps: ["foo"]
+            });
         });
 
-        it("should return inherited property descriptor", function() {
-            var proto = {foo:42},
-                obj = Object.create(proto),
-                desc = prop.describe(obj, "foo"),
-                ownDesc = Object.getOwnPropertyDescriptor(obj, "foo");
+        it("should leave getter-only dependencies alone", function() {
+            var obj = {foo: 1};
 
-            expect(ownDesc).to.be(undefined);
-            expect(desc).to.be.an("object");
-            expect(desc.value).to.be(42);
-            expect(desc.writable).to.be(true);
-            expect(desc.configurable).to.be(true);
+            prop.derived(obj, "double", function() {return this.foo * 2;});
+            prop.computed(obj, "bar", ["foo", "double"], function() {
+                return this.double + 1;
+            });
+
+            expect(obj.bar).to.be(3);
+            expect(prop.kind(obj, "double").kind).to.be("derived");
+            obj.double = 100;
+            expect(obj.double).to.be(2);
+            obj.foo = 2;
+            expect(obj.bar).to.be(5);
+        });
+    });
+
+    describe(".lazy", function() {
+        it("should initialize on first read", function() {
+            var obj = {},
+                init = sinon.spy(function() {return 42;});
+
+            prop.lazy(obj, "foo", init);
+            expect(init.called).to.be(false);
+            expect(prop.kind(obj, "foo").kind).to.be("lazy");
+            expect(obj.foo).to.be(42);
+            expect(obj.foo).to.be(42);
+            expect(init.calledOnce).to.be(true);
+            expect(init.calledOn(obj)).to.be(true);
+            expect(prop.kind(obj, "foo").kind).to.be("basic");
+        });
+
+        it("should redefine property with preset", function() {
+            var obj = {};
+
+            prop.lazy(obj, "foo", function() {return 42;}, "internal");
+            expect(Object.keys(obj)).to.eql([]);
+            expect(obj.foo).to.be(42);
+            expect(prop.kind(obj, "foo").kind).to.be("internal");
+            obj.foo = 13;
+            expect(obj.foo).to.be(42);
+        });
+
+        it("should initialize each instance", function() {
+            var init = sinon.spy(function() {return {};}),
+                a, b;
+
+            function Foo() {}
+
+            prop.lazy(Foo, "foo", init, "readonly");
+            a = new Foo();
+            b = new Foo();
+            expect(a.foo).to.be(a.foo);
+            expect(a.foo).to.not.be(b.foo);
+            expect(init.calledTwice).to.be(true);
+            expect(a).to.have.own.property("foo");
+            expect(prop.kind(Foo, "foo").kind).to.be("lazy");
+        });
+
+        it("should not keep values read on the prototype", function() {
+            var a, b;
+
+            function Foo() {}
+
+            prop.lazy(Foo, "foo", function() {return {};}, "readonly");
+            expect(Foo.prototype.foo).to.not.be(Foo.prototype.foo);
+            expect(prop.kind(Foo, "foo").kind).to.be("lazy");
+            a = new Foo();
+            b = new Foo();
+            expect(a.foo).to.not.be(b.foo);
+        });
+
+        it("should skip init when assigned first", function() {
+            var obj = {},
+                init = sinon.spy();
+
+            prop.lazy(obj, "foo", init, "setting");
+            obj.foo = 42;
+            expect(obj.foo).to.be(42);
+            expect(init.called).to.be(false);
+            expect(prop.kind(obj, "foo").kind).to.be("setting");
+        });
+
+        it("should ignore assignments before read when read-only", function() {
+            var obj = {};
+
+            prop.lazy(obj, "foo", function() {return 42;}, "readonly");
+            obj.foo = 13;
+            expect(obj.foo).to.be(42);
+            expect(prop.kind(obj, "foo").kind).to.be("readonly");
+        });
+
+        it("should retry after init throws", function() {
+            var obj = {},
+                calls = 0;
+
+            prop.lazy(obj, "foo", function() {
+                if (++calls === 1) throw new Error("not yet");
+                return 42;
+            });
+
+            expect(function() {return obj.foo;}).to.throwError();
+            expect(obj.foo).to.be(42);
+        });
+
+        it("should reject unknown presets", function() {
+            expect(function() {
+                prop.lazy({}, "foo", function() {}, "derived");
+            }).to.throwError(function(err) {
+                expect(err).to.be.a(TypeError);
+            });
+        });
+
+        it("should accept symbol keys", function() {
+            var key = Symbol("foo"),
+                obj = {};
+
+            prop.lazy(obj, key, function() {return 42;});
+            expect(obj[key]).to.be(42);
+        });
+    });
+
+    describe(".managed", function() {
+        it("should add new property with getter/setter", function() {
+            var obj = {},
+                val = 0,
+                called = false;
+                
+            prop.managed(
+                obj, "foo",
+                function(newval) {val = newval; called = true},
+                function() {return val;}
+            );
+            
+            obj.foo = "bar";
+            expect(obj.foo).to.be("bar");
+            expect(called).to.be(true);
+        });
+    });
+
+    describe(".alias", function() {
+        it("should read and write another property", function() {
+            var obj = {foo: 42};
+
+            prop.alias(obj, "bar", "foo");
+            expect(obj.bar).to.be(42);
+            obj.bar = 13;
+            expect(obj.foo).to.be(13);
+            expect(prop.kind(obj, "bar")).to.eql({
+                kind: "alias",
+                property: "foo"
+            });
+        });
+
+        it("should optionally be read-only", function() {
+            var obj = {foo: 42};
+
+            prop.alias(obj, "bar", "foo", {readonly: true});
+            obj.bar = 13;
+            expect(obj.foo).to.be(42);
+        });
+
+        it("should alias many properties", function() {
+            var obj = {foo: 42, bar: 13};
+
+            prop.alias(obj, {baz: "foo", qux: "bar"});
+            expect(obj.baz).to.be(42);
+            expect(obj.qux).to.be(13);
+        });
+
+        it("should accept function target", function() {
+            var obj;
+
+            function Foo() {
+                this.foo = 42;
+            }
+
+            prop.alias(Foo, "bar", "foo");
+            obj = new Foo();
+            expect(obj.bar).to.be(42);
+        });
+    });
+
+    describe(".delegate", function() {
+        it("should delegate to a property path", function() {
+            var obj = {data: {inner: {id: 42}}};
+
+            prop.delegate(obj, "id", "data.inner");
+            expect(obj.id).to.be(42);
+            obj.id = 13;
+            expect(obj.data.inner.id).to.be(13);
+            expect(prop.kind(obj, "id")).to.eql({
+                kind: "delegate",
+                source: "data.inner",
+                property: "id"
+            });
+        });
+
+        it("should delegate to an object", function() {
+            var source = {foo: 42},
+                obj = {};
+
+            prop.delegate(obj, "bar", source, "foo");
+            expect(obj.bar).to.be(42);
+            obj.bar = 13;
+            expect(source.foo).to.be(13);
+        });
+
+        it("should follow the path from each instance", function() {
+            var a, b;
+
+            function Foo(id) {
+                this.data = {id: id};
+            }
+
+            prop.delegate(Foo, "id", "data");
+            a = new Foo(1);
+            b = new Foo(2);
+            expect(a.id).to.be(1);
+            expect(b.id).to.be(2);
+        });
+
+        it("should handle missing path", function() {
+            var obj = {};
+
+            prop.delegate(obj, "id", "data.inner");
+            expect(obj.id).to.be(undefined);
+            expect(function() {obj.id = 42;}).to.throwError(function(err) {
+                expect(err).to.be.a(TypeError);
+            });
+        });
+
+        it("should optionally be read-only", function() {
+            var obj = {data: {id: 42}};
+
+            prop.delegate(obj, "id", "data", {readonly: true});
+            obj.id = 13;
+            expect(obj.data.id).to.be(42);
+        });
+
+        it("should bind methods", function() {
+            var logger = {
+                    lines: [],
+                    log: function(line) {this.lines.push(line);}
+                },
+                obj = {logger: logger},
+                log;
+
+            prop.delegate(obj, "log", "logger");
+            log = obj.log;
+            log("foo");
+            expect(logger.lines).to.eql(["foo"]);
+            expect(obj.log).to.be(log);
+
+            logger.log = function() {};
+            expect(obj.log).to.not.be(log);
+        });
+
+        it("should delegate a list of properties", function() {
+            var obj = {data: {foo: 42, bar: 13}};
+
+            prop.delegate(obj, ["foo", "bar"], "data", {readonly: true});
+            expect(obj.foo).to.be(42);
+            expect(obj.bar).to.be(13);
+            obj.foo = 1;
+            expect(obj.data.foo).to.be(42);
+        });
+
+        it("should delegate a map of properties", function() {
+            var obj = {data: {foo: 42}, meta: {bar: 13}};
+
+            prop.delegate(obj, {foo: "data", bar: "meta"});
+            expect(obj.foo).to.be(42);
+            expect(obj.bar).to.be(13);
+        });
+    });
+
+    describe(".triggered", function() {
+        it("should trigger callback when property is changed", function() {
+            var obj = {foo: 42},
+                called = false;
+
+            prop.triggered(obj, "foo", function(is, was) {
+                called = true;
+                expect(this).to.be(obj);
+                expect(is).to.be(43);
+                expect(was).to.be(42);
+            });
+
+            obj.foo = 43;
+            expect(obj.foo).to.be(43);
+            expect(called).to.be(true);
+        });
+
+        it("should work with getter/setter", function() {
+            var obj = {},
+                setter = sinon.spy(),
+                trigger = sinon.spy();
+
+            prop.set(obj, "foo", setter);
+            expect(setter.callCount).to.be(0);
+            expect(trigger.callCount).to.be(0);
+
+            obj.foo = 13;
+            expect(setter.callCount).to.be(1);
+
+            prop.triggered(obj, "foo", trigger);
+
+            obj.foo = 23;
+            expect(setter.callCount).to.be(2);
+            expect(trigger.callCount).to.be(1);
+        });
+
+        it("should optionally trigger only on change", function() {
+            var obj = {foo: 1},
+                trigger = sinon.spy();
+
+            prop.triggered(obj, "foo", trigger, {equals: true});
+            obj.foo = 1;
+            expect(trigger.callCount).to.be(0);
+            obj.foo = 2;
+            expect(trigger.callCount).to.be(1);
+            obj.foo = NaN;
+            obj.foo = NaN;
+            expect(trigger.callCount).to.be(2);
+        });
+
+        it("should compare with custom comparator", function() {
+            var obj = {foo: "a"},
+                trigger = sinon.spy();
+
+            prop.triggered(obj, "foo", trigger, {equals: function(a, b) {
+                return a.toLowerCase() === b.toLowerCase();
+            }});
+            obj.foo = "A";
+            expect(trigger.callCount).to.be(0);
+            expect(obj.foo).to.be("A");
+            obj.foo = "b";
+            expect(trigger.callCount).to.be(1);
+        });
+
+        it("should skip batched changes which end where they began",
+            function() {
+                var obj = {foo: 1},
+                    trigger = sinon.spy();
+
+                prop.triggered(obj, "foo", trigger, {equals: true});
+                prop.batch(function() {
+                    obj.foo = 2;
+                    obj.foo = 1;
+                });
+                expect(trigger.callCount).to.be(0);
+            }
+        );
+
+        it("should let before hook veto updates", function() {
+            var obj = {foo: 1},
+                trigger = sinon.spy();
+
+            prop.triggered(obj, "foo", trigger, {before: function(change) {
+                expect(this).to.be(obj);
+                expect(change.name).to.be("foo");
+                expect(change.oldValue).to.be(1);
+                return change.newValue > 0;
+            }});
+
+            obj.foo = -1;
+            expect(obj.foo).to.be(1);
+            expect(trigger.callCount).to.be(0);
+            obj.foo = 2;
+            expect(obj.foo).to.be(2);
+            expect(trigger.callCount).to.be(1);
+        });
+
+        it("should let before hook rewrite updates", function() {
+            var obj = {foo: 1},
+                trigger = sinon.spy();
+
+            prop.triggered(obj, "foo", trigger, {before: function(change) {
+                change.newValue = Math.abs(change.newValue);
+            }});
+
+            obj.foo = -3;
+            expect(obj.foo).to.be(3);
+            expect(trigger.calledWith(3, 1)).to.be(true);
+        });
+
+        it("should optionally trigger in a microtask", function(done) {
+            var obj = {foo: 1},
+                trigger = sinon.spy();
+
+            prop.triggered(obj, "foo", trigger, {microtask: true});
+            obj.foo = 2;
+            obj.foo = 3;
+            expect(trigger.callCount).to.be(0);
+
+            Promise.resolve().then(function() {
+                expect(trigger.callCount).to.be(1);
+                expect(trigger.calledWith(3, 1)).to.be(true);
+                expect(prop.kind(obj, "foo").triggers).to.eql([trigger]);
+            }).then(done, done);
+        });
+
+        it("should keep separate values for each instance", function() {
+            var Type = function() {},
+                trigger = sinon.spy(),
+                a, b;
+
+            Type.prototype.foo = 1;
+            prop.triggered(Type, "foo", trigger);
+            a = new Type();
+            b = new Type();
+
+            a.foo = 2;
+            expect(a.foo).to.be(2);
+            expect(b.foo).to.be(1);
+            expect(trigger.calledWith(2, 1)).to.be(true);
+
+            b.foo = 3;
+            expect(a.foo).to.be(2);
+            expect(trigger.calledWith(3, 1)).to.be(true);
+        });
+    });
+
+    describe(".observe", function() {
+        it("should send change records to listeners", function() {
+            var obj = {foo: 1},
+                a = sinon.spy(),
+                b = sinon.spy();
+
+            prop.observe(obj, "foo", a);
+            prop.observe(obj, ["foo"], b);
+            obj.foo = 2;
+
+            expect(a.calledOn(obj)).to.be(true);
+            expect(a.args[0][0]).to.eql({
+                object: obj,
+                name: "foo",
+                oldValue: 1,
+                newValue: 2
+            });
+            expect(b.callCount).to.be(1);
+        });
+
+        it("should stop when unsubscribed", function() {
+            var obj = {foo: 1, bar: 1},
+                listener = sinon.spy(),
+                other = sinon.spy(),
+                unsubscribe = prop.observe(obj, ["foo", "bar"], listener);
+
+            prop.observe(obj, "foo", other);
+            unsubscribe();
+            obj.foo = 2;
+            obj.bar = 2;
+
+            expect(listener.callCount).to.be(0);
+            expect(other.callCount).to.be(1);
+        });
+
+        it("should observe every enumerable property by default", function() {
+            var obj = {foo: 1, bar: 2},
+                names = [];
+
+            prop.hidden(obj, "baz", 3);
+            prop.observe(obj, function(record) {names.push(record.name);});
+            obj.foo = 4;
+            obj.bar = 5;
+            obj.baz = 6;
+
+            expect(names).to.eql(["foo", "bar"]);
+            expect(Object.keys(obj)).to.eql(["foo", "bar"]);
+        });
+
+        it("should observe each instance of a constructor", function() {
+            var Type = function() {},
+                records = [],
+                a, b;
+
+            Type.prototype.foo = 0;
+            prop.observe(Type, "foo", function(record) {records.push(record);});
+            a = new Type();
+            b = new Type();
+            a.foo = 1;
+            b.foo = 2;
+
+            expect(records.map(function(record) {
+                return [record.object, record.oldValue, record.newValue];
+            })).to.eql([[a, 0, 1], [b, 0, 2]]);
+        });
+
+        it("should skip non-configurable properties by default", function() {
+            var obj = {foo: 1},
+                listener = sinon.spy();
+
+            prop.attribute(obj, "bar", 2);
+            prop.field(obj, "baz", 3);
+            prop.observe(obj, listener);
+            obj.foo = 4;
+            obj.baz = 5;
+            expect(listener.calledOnce).to.be(true);
+            expect(obj.bar).to.be(2);
+            expect(obj.baz).to.be(5);
+            expect(prop.kind(obj, "bar").kind).to.be("attribute");
+        });
+
+        it("should keep read-only properties read-only", function() {
+            var obj = {},
+                listener = sinon.spy();
+
+            prop.readonly(obj, "foo", 1);
+            prop.internal(obj, "bar", 2);
+            prop.observe(obj, listener);
+            prop.observe(obj, "bar", listener);
+            obj.foo = 3;
+            obj.bar = 4;
+            expect(obj.foo).to.be(1);
+            expect(obj.bar).to.be(2);
+            expect(listener.called).to.be(false);
+        });
+    });
+
+    describe(".pipeline", function() {
+        it("should run steps by stage", function() {
+            var obj = {foo: 1},
+                calls = [];
+
+            prop.pipeline(obj, "foo", [
+                {notify: function(is, was) {calls.push(["notify", is, was]);}},
+                {store: function(val) {calls.push(["store", val]);}},
+                {validate: function(val) {
+                    calls.push(["validate", val]);
+                    return true;
+                }},
+                {normalize: function(val) {
+                    calls.push(["normalize", val]);
+                    return val * 2;
+                }}
+            ]);
+
+            obj.foo = 2;
+            expect(obj.foo).to.be(4);
+            expect(calls).to.eql([
+                ["normalize", 2],
+                ["validate", 4],
+                ["store", 4],
+                ["notify", 4, 1]
+            ]);
+        });
+
+        it("should ignore updates which fail validation", function() {
+            var obj = {foo: 1},
+                notify = sinon.spy();
+
+            prop.pipeline(obj, "foo", [
+                {validate: function(val) {return val > 0;}},
+                {notify: notify}
+            ]);
+
+            obj.foo = -1;
+            expect(obj.foo).to.be(1);
+            expect(notify.callCount).to.be(0);
+        });
+
+        it("should reuse the pipeline already on a property", function() {
+            var obj = {},
+                line = prop.pipeline(obj, "foo");
+
+            expect(prop.pipeline(obj, "foo")).to.be(line);
+        });
+
+        it("should add and remove steps", function() {
+            var obj = {},
+                line = prop.pipeline(obj, "foo"),
+                double = function(val) {return val * 2;};
+
+            line.add("normalize", double);
+            obj.foo = 2;
+            expect(obj.foo).to.be(4);
+
+            line.remove("normalize", double);
+            obj.foo = 2;
+            expect(obj.foo).to.be(2);
+        });
+
+        it("should reject unknown stages", function() {
+            expect(function() {
+                prop.pipeline({}, "foo", [{frobnicate: function() {}}]);
+            }).to.throwError(function(err) {
+                expect(err).to.be.a(TypeError);
+            });
+        });
+
+        it("should normalize before validating regardless of call order",
+            function() {
+                var obj = {};
+
+                prop.validated(obj, "foo", function(val) {
+                    return typeof val === "number";
+                });
+                prop.normalized(obj, "foo", function(val) {
+                    return Number(val);
+                });
+
+                obj.foo = "42";
+                expect(obj.foo).to.be(42);
+            }
+        );
+    });
+
+    describe(".proxy", function() {
+        it("should validate matching properties", function() {
+            var obj = prop.proxy({}, {
+                kind: "validated",
+                match: /^count/,
+                validator: function(val) {return val >= 0;}
+            });
+
+            obj.count = 1;
+            obj.countAgain = -1;
+            obj.other = -1;
+            expect(obj.count).to.be(1);
+            expect(obj).to.not.have.property("countAgain");
+            expect(obj.other).to.be(-1);
+            obj.count = -1;
+            expect(obj.count).to.be(1);
+        });
+
+        it("should support strict validation", function() {
+            var obj = prop.proxy({}, {
+                kind: "validated",
+                validator: function(val) {return val > 0 || "too small";},
+                options: {strict: true}
+            });
+
+            expect(function() {obj.foo = 0;}).to.throwError(function(err) {
+                expect(err).to.be.a(prop.PropertyValidationError);
+                expect(err.property).to.be("foo");
+                expect(err.message).to.be("too small");
+            });
+        });
+
+        it("should normalize matching properties", function() {
+            var obj = prop.proxy({}, {
+                kind: "normalized",
+                match: ["foo", "bar"],
+                normalizer: Number
+            });
+
+            obj.foo = "42";
+            obj.baz = "13";
+            expect(obj.foo).to.be(42);
+            expect(obj.baz).to.be("13");
+        });
+
+        it("should trigger for matching properties", function() {
+            var trigger = sinon.spy(),
+                obj = prop.proxy({foo: 1}, {
+                    kind: "triggered",
+                    match: function(name) {return name !== "bar";},
+                    trigger: trigger
+                });
+
+            obj.foo = 2;
+            obj.bar = 3;
+            expect(trigger.calledOnce).to.be(true);
+            expect(trigger.calledWith(2, 1)).to.be(true);
+            expect(trigger.calledOn(obj)).to.be(true);
+        });
+
+        it("should support trigger options", function() {
+            var trigger = sinon.spy(),
+                obj = prop.proxy({foo: 1}, {
+                    kind: "triggered",
+                    trigger: trigger,
+                    options: {
+                        equals: true,
+                        before: function(change) {
+                            return change.newValue !== null;
+                        }
+                    }
+                });
+
+            obj.foo = 1;
+            obj.foo = null;
+            expect(trigger.called).to.be(false);
+            expect(obj.foo).to.be(1);
+            obj.foo = 2;
+            expect(trigger.calledWith(2, 1)).to.be(true);
+        });
+
+        it("should hold triggers during a batch", function() {
+            var trigger = sinon.spy(),
+                obj = prop.proxy({foo: 1}, {kind: "triggered",
+                    trigger: trigger});
+
+            prop.batch(function() {
+                obj.foo = 2;
+                obj.foo = 3;
+                expect(trigger.called).to.be(false);
+            });
+
+            expect(trigger.calledOnce).to.be(true);
+            expect(trigger.calledWith(3, 1)).to.be(true);
+        });
+
+        it("should make matching properties readonly", function() {
+            var obj = prop.proxy({foo: 42}, {kind: "readonly", match: /^id/});
+
+            obj.id = 1;
+            obj.id = 2;
+            obj.foo = 13;
+            expect(obj.id).to.be(1);
+            expect(obj.foo).to.be(13);
+            expect(function() {
+                "use strict";
+                obj.id = 3;
+            }).to.throwError(function(err) {
+                expect(err).to.be.a(TypeError);
+            });
+        });
+
+        it("should assign readonly properties shadowing inherited", function() {
+            var obj = prop.proxy(Object.create({id: 0}), {
+                kind: "readonly",
+                match: "id"
+            });
+
+            obj.id = 1;
+            obj.id = 2;
+            expect(obj.id).to.be(1);
+        });
+
+        it("should apply rules to defined properties", function() {
+            var trigger = sinon.spy(),
+                obj = prop.proxy({}, [
+                    {kind: "normalized", match: "foo", normalizer: Number},
+                    {kind: "validated", match: "foo", validator: function(val) {
+                        return val > 0;
+                    }},
+                    {kind: "triggered", match: "foo", trigger: trigger},
+                    {kind: "readonly", match: "id"}
+                ]);
+
+            Object.defineProperty(obj, "foo", {
+                configurable: true,
+                writable: true,
+                value: "42"
+            });
+            expect(obj.foo).to.be(42);
+            expect(trigger.calledWith(42, undefined)).to.be(true);
+
+            expect(function() {
+                Object.defineProperty(obj, "foo", {value: -1});
+            }).to.throwError(function(err) {
+                expect(err).to.be.a(TypeError);
+            });
+            expect(function() {
+                Object.defineProperty(obj, "foo", {get: function() {}});
+            }).to.throwError();
+            expect(obj.foo).to.be(42);
+
+            Object.defineProperty(obj, "id", {value: 1});
+            expect(Reflect.defineProperty(obj, "id", {value: 2})).to.be(false);
+            expect(obj.id).to.be(1);
+            expect(trigger.callCount).to.be(1);
+        });
+
+        it("should apply every matching rule in order", function() {
+            var obj = prop.proxy({}, [
+                {kind: "normalized", normalizer: Number},
+                {kind: "validated", validator: function(val) {
+                    return !isNaN(val);
+                }}
+            ]);
+
+            obj.foo = "42";
+            obj.foo = "bar";
+            expect(obj.foo).to.be(42);
+        });
+
+        it("should wrap instances of function target", function() {
+            var trigger = sinon.spy(),
+                Proxied, obj;
+
+            function Foo() {}
+
+            Proxied = prop.proxy(Foo, {kind: "triggered", trigger: trigger});
+            obj = new Proxied();
+            obj.foo = 42;
+            expect(obj).to.be.a(Foo);
+            expect(trigger.calledWith(42)).to.be(true);
+            expect(trigger.calledOn(obj)).to.be(true);
+        });
+
+        it("should apply rules to constructor assignments", function() {
+            var trigger = sinon.spy(),
+                Proxied, obj;
+
+            function Foo(foo, bar) {
+                this.foo = foo;
+                this.bar = bar;
+                this.id = 1;
+            }
+
+            Proxied = prop.proxy(Foo, [
+                {kind: "normalized", match: "foo", normalizer: Number},
+                {kind: "validated", match: "bar", validator: function(val) {
+                    return val > 0;
+                }},
+                {kind: "readonly", match: "id"},
+                {kind: "triggered", match: "foo", trigger: trigger}
+            ]);
+            obj = new Proxied("42", -1);
+
+            expect(obj.foo).to.be(42);
+            expect(obj).to.not.have.property("bar");
+            expect(trigger.calledWith(42, undefined)).to.be(true);
+            expect(trigger.calledOn(obj)).to.be(true);
+
+            obj.id = 2;
+            expect(obj.id).to.be(1);
+            expect(Object.keys(obj)).to.eql(["foo", "id"]);
+        });
+
+        it("should reject invalid rules", function() {
+            expect(function() {
+                prop.proxy({}, [
+                    {kind: "derived"},
+                    {kind: "validated"},
+                    {kind: "readonly", match: 42}
+                ]);
+            }).to.throwError(function(err) {
+                expect(err).to.be.a(prop.PropertySchemaError);
+                expect(err.errors).to.have.length(3);
+            });
+        });
+    });
+
+    describe("decorators", function() {
+        function context(kind, name, inits) {
+            return {
+                kind: kind,
+                name: name,
+                static: false,
+                private: false,
+                addInitializer: function(init) {inits.push(init);}
+            };
+        }
+
+        // define a class with a field, running initializers once the field
+        // is defined, as standard decorators do
+        function decorateField(decorator, name, val) {
+            var inits = [];
+
+            function Foo() {
+                Object.defineProperty(this, name, {
+                    configurable: true,
+                    enumerable: true,
+                    writable: true,
+                    value: val
+                });
+
+                inits.forEach(function(init) {init.call(this);}, this);
+            }
+
+            decorator(undefined, context("field", name, inits));
+            return Foo;
+        }
+
+        // define a class with a getter, replacing it with the getter the
+        // decorator returns and running initializers when instances are
+        // created, as standard decorators do
+        function decorateGetter(decorator, name, getter) {
+            var inits = [],
+                replacement;
+
+            function Foo() {
+                inits.forEach(function(init) {init.call(this);}, this);
+            }
+
+            replacement = decorator(getter, context("getter", name, inits));
+            Object.defineProperty(Foo.prototype, name, {
+                configurable: true,
+                get: replacement || getter
+            });
+
+            return Foo;
+        }
+
+        it("should apply presets to fields", function() {
+            var Foo = decorateField(prop.readonly, "foo", 42),
+                obj = new Foo();
+
+            obj.foo = 13;
+            expect(obj.foo).to.be(42);
+            expect(prop.kind(obj, "foo").kind).to.be("readonly");
+        });
+
+        it("should update flags of fields", function() {
+            var Foo = decorateField(prop.enumerable(false), "foo", 42),
+                Bar = decorateField(prop.writable, "bar", 13);
+
+            expect(Object.keys(new Foo())).to.eql([]);
+            expect(Object.getOwnPropertyDescriptor(new Bar(), "bar").writable)
+                .to.be(true);
+        });
+
+        it("should validate fields", function() {
+            var Foo = decorateField(prop.validated(function(val) {
+                    return val > 0;
+                }), "foo", 42),
+                Bar = decorateField(prop.validated(function(val) {
+                    return val > 0;
+                }, {strict: true}), "bar", 13),
+                foo = new Foo(),
+                bar = new Bar();
+
+            foo.foo = -1;
+            expect(foo.foo).to.be(42);
+            expect(prop.kind(foo, "foo").kind).to.be("validated");
+            expect(function() {bar.bar = -1;}).to.throwError(function(err) {
+                expect(err).to.be.a(prop.PropertyValidationError);
+            });
+        });
+
+        it("should normalize fields", function() {
+            var Foo = decorateField(prop.normalized(Number), "foo", 42),
+                obj = new Foo();
+
+            obj.foo = "13";
+            expect(obj.foo).to.be(13);
+        });
+
+        it("should trigger on fields", function() {
+            var trigger = sinon.spy(),
+                Foo = decorateField(prop.triggered(trigger), "foo", 42),
+                obj = new Foo();
+
+            obj.foo = 13;
+            expect(trigger.calledWith(13, 42)).to.be(true);
+            expect(trigger.calledOn(obj)).to.be(true);
+        });
+
+        it("should keep fields separate for each instance", function() {
+            var Foo = decorateField(prop.normalized(Number), "foo", 42),
+                a = new Foo(),
+                b = new Foo();
+
+            a.foo = "13";
+            expect(a.foo).to.be(13);
+            expect(b.foo).to.be(42);
+        });
+
+        it("should apply to auto-accessors", function() {
+            var inits = [],
+                obj;
+
+            function Foo() {
+                inits.forEach(function(init) {init.call(this);}, this);
+            }
+
+            Foo.prototype.foo = 42;
+            prop.normalized(Number)({}, context("accessor", "foo", inits));
+            obj = new Foo();
+            obj.foo = "13";
+            expect(obj.foo).to.be(13);
+            expect(Foo.prototype.foo).to.be(42);
+        });
+
+        it("should derive from getters", function() {
+            var Foo = decorateGetter(prop.derived, "foo", function() {
+                    return this.bar * 2;
+                }),
+                obj = new Foo();
+
+            obj.bar = 21;
+            expect(obj.foo).to.be(42);
+            expect(prop.kind(Foo, "foo").kind).to.be("derived");
+        });
+
+        it("should configure getters on the class declaring them", function() {
+            var Foo = decorateGetter(prop.derived, "foo", function() {
+                    return 42;
+                }),
+                obj;
+
+            function Bar() {
+                Foo.call(this);
+            }
+
+            Bar.prototype = Object.create(Foo.prototype);
+            Object.defineProperty(Bar.prototype, "foo", {
+                configurable: true,
+                get: function() {return 13;}
+            });
+
+            expect(prop.kind(Foo, "foo").kind).to.be("derived");
+            obj = new Bar();
+            expect(obj.foo).to.be(13);
+            expect(prop.kind(Bar, "foo").kind).to.be("accessor");
+            expect(prop.kind(Foo, "foo").kind).to.be("derived");
+            expect(new Foo().foo).to.be(42);
+        });
+
+        it("should accept inverse for derived getters", function() {
+            var Foo = decorateGetter(prop.derived(function(val) {
+                    this.bar = val / 2;
+                }), "foo", function() {
+                    return this.bar * 2;
+                }),
+                obj = new Foo();
+
+            obj.foo = 42;
+            expect(obj.bar).to.be(21);
+        });
+
+        it("should compute from getters", function() {
+            var derive = sinon.spy(function() {return this.bar * 2;}),
+                Foo = decorateGetter(prop.computed(["bar"]), "foo", derive),
+                obj = new Foo();
+
+            obj.bar = 21;
+            expect(obj.foo).to.be(42);
+            expect(obj.foo).to.be(42);
+            expect(derive.calledOnce).to.be(true);
+            obj.bar = 1;
+            expect(obj.foo).to.be(2);
+            expect(prop.kind(Foo, "foo").kind).to.be("computed");
+        });
+
+        it("should compute from installed field dependencies", function() {
+            var trigger = sinon.spy(),
+                Foo = decorateGetter(prop.computed(["bar"]), "foo", function() {
+                    return this.bar * 2;
+                }),
+                obj = new Foo();
+
+            Object.defineProperty(obj, "bar", {
+                configurable: true,
+                enumerable: true,
+                writable: true,
+                value: 21
+            });
+            expect(prop.install(obj)).to.eql(["bar"]);
+            prop.triggered(Foo, "bar", trigger);
+
+            expect(obj.foo).to.be(42);
+            expect(obj.foo).to.be(42);
+            expect(trigger.called).to.be(false);
+            obj.bar = 1;
+            expect(obj.foo).to.be(2);
+        });
+
+        it("should create lazy values from getters", function() {
+            var init = sinon.spy(function() {return {};}),
+                Foo = decorateGetter(prop.lazy("internal"), "foo", init),
+                a = new Foo(),
+                b = new Foo();
+
+            expect(a.foo).to.be(a.foo);
+            expect(a.foo).to.not.be(b.foo);
+            expect(init.calledTwice).to.be(true);
+            expect(prop.kind(a, "foo").kind).to.be("internal");
+        });
+
+        it("should reject static members", function() {
+            var ctx = context("field", "foo", []);
+
+            ctx.static = true;
+            expect(function() {
+                prop.readonly(undefined, ctx);
+            }).to.throwError(function(err) {
+                expect(err).to.be.a(TypeError);
+            });
+        });
+
+        it("should reject setters", function() {
+            expect(function() {
+                prop.readonly(function() {}, context("setter", "foo", []));
+            }).to.throwError(function(err) {
+                expect(err).to.be.a(TypeError);
+            });
+        });
+
+        describe(".legacy", function() {
+            it("should configure field on prototype", function() {
+                var validate = prop.legacy(prop.validated(function(val) {
+                        return val > 0;
+                    })),
+                    Foo = function() {},
+                    a, b;
+
+                validate(Foo.prototype, "foo", {initializer: function() {
+                    return 42;
+                }});
+
+                a = new Foo();
+                b = new Foo();
+                a.foo = 13;
+                b.foo = -1;
+                expect(a.foo).to.be(13);
+                expect(b.foo).to.be(42);
+                expect(prop.kind(Foo, "foo").kind).to.be("validated");
+            });
+
+            it("should initialize fields for each instance", function() {
+                var Foo = function() {this.base = 21;},
+                    a, b;
+
+                prop.legacy(prop.readonly)(Foo.prototype, "items", {
+                    initializer: function() {return [];}
+                });
+                prop.legacy(prop.validated(function(val) {
+                    return val > 0;
+                }))(Foo.prototype, "double", {initializer: function() {
+                    return this.base * 2;
+                }});
+
+                a = new Foo();
+                b = new Foo();
+                a.items.push(1);
+                a.items = [];
+                expect(a.items).to.eql([1]);
+                expect(b.items).to.eql([]);
+                expect(a.double).to.be(42);
+                b.base = 2;
+                expect(b.double).to.be(4);
+                expect(prop.kind(Foo, "double").kind).to.be("validated");
+            });
+
+            it("should return the new descriptor", function() {
+                var Foo = function() {},
+                    getter = function() {return 42;},
+                    desc;
+
+                desc = prop.legacy(prop.derived)(Foo.prototype, "foo", {
+                    configurable: true,
+                    get: getter
+                });
+
+                expect(desc.get).to.be(getter);
+                expect(desc.enumerable).to.be(false);
+                expect(prop.kind(Foo, "foo").kind).to.be("derived");
+            });
+
+            it("should reject static members", function() {
+                var Foo = function() {};
+
+                expect(function() {
+                    prop.legacy(prop.readonly)(Foo, "foo");
+                }).to.throwError(function(err) {
+                    expect(err).to.be.a(TypeError);
+                });
+            });
+        });
+    });
+
+    describe(".install", function() {
+        it("should move shadowing fields through prototype rules", function() {
+            var trigger = sinon.spy(),
+                obj;
+
+            function Foo() {
+                Object.defineProperty(this, "foo", {
+                    configurable: true,
+                    enumerable: true,
+                    writable: true,
+                    value: "42"
+                });
+                expect(prop.install(this)).to.eql(["foo"]);
+            }
+
+            prop.normalized(Foo, "foo", 0, Number);
+            prop.triggered(Foo, "foo", trigger);
+            obj = new Foo();
+
+            expect(obj).to.not.have.own.property("foo");
+            expect(obj.foo).to.be(42);
+            expect(trigger.calledWith(42, 0)).to.be(true);
+            obj.foo = "13";
+            expect(obj.foo).to.be(13);
+            expect(new Foo().foo).to.be(42);
+        });
+
+        it("should apply validation to field values", function() {
+            var obj;
+
+            function Foo() {}
+
+            prop.validated(Foo, "foo", 1, function(val) {return val > 0;});
+            obj = new Foo();
+            Object.defineProperty(obj, "foo", {
+                configurable: true,
+                enumerable: true,
+                writable: true,
+                value: -1
+            });
+            prop.install(obj);
+            expect(obj.foo).to.be(1);
+        });
+
+        it("should leave other properties alone", function() {
+            var obj;
+
+            function Foo() {
+                this.bar = 13;
+                Object.defineProperty(this, "baz", {value: "locked"});
+            }
+
+            prop.readonly(Foo, "bar", 1);
+            prop.normalized(Foo, "baz", Number);
+            obj = new Foo();
+            obj.qux = 23;
+            expect(prop.install(obj)).to.eql([]);
+            expect(obj.qux).to.be(23);
+            expect(obj.baz).to.be("locked");
+        });
+
+        it("should move fields through tagged accessors", function() {
+            var obj;
+
+            function Foo() {}
+
+            prop.derived(Foo, "foo", function() {
+                return this.bar * 2;
+            }, function(val) {
+                this.bar = val / 2;
+            });
+
+            obj = new Foo();
+            Object.defineProperty(obj, "foo", {
+                configurable: true,
+                writable: true,
+                value: 42
+            });
+            expect(prop.install(obj)).to.eql(["foo"]);
+            expect(obj.bar).to.be(21);
+        });
+
+        it("should wrap constructors", function() {
+            var Installed, obj;
+
+            function Foo() {
+                Object.defineProperty(this, "foo", {
+                    configurable: true,
+                    enumerable: true,
+                    writable: true,
+                    value: "42"
+                });
+            }
+
+            prop.normalized(Foo, "foo", Number);
+            Installed = prop.install(Foo);
+            obj = new Installed();
+            expect(obj).to.be.a(Foo);
+            expect(obj.foo).to.be(42);
+            expect(obj).to.not.have.own.property("foo");
+        });
+    });
+
+    describe(".define", function() {
+        it("should configure properties from schema", function() {
+            var obj = {id: 1, secret: "s"},
+                trigger = sinon.spy(),
+                desc;
+
+            prop.define(obj, {
+                id: "attribute",
+                secret: {kind: "hidden"},
+                count: {
+                    kind: "validated",
+                    value: 0,
+                    validator: function(val) {return val >= 0;},
+                    normalizer: function(val) {return Number(val);},
+                    trigger: trigger
+                },
+                double: {
+                    kind: "derived",
+                    derive: function() {return this.count * 2;}
+                }
+            });
+
+            desc = Object.getOwnPropertyDescriptor(obj, "id");
+            expect(desc.writable).to.be(false);
+            expect(desc.configurable).to.be(false);
+            expect(Object.keys(obj)).to.eql(["id", "count"]);
+
+            obj.count = "-1";
+            expect(obj.count).to.be(0);
+            obj.count = "21";
+            expect(obj.count).to.be(21);
+            expect(obj.double).to.be(42);
+            expect(trigger.calledWith(21, 0)).to.be(true);
+        });
+
+        it("should update function prototype", function() {
+            var Type = function() {},
+                a, b;
+
+            prop.define(Type, {
+                foo: {kind: "triggered", value: 1, trigger: function() {}},
+                bar: {kind: "readonly", value: 2}
+            });
+            a = new Type();
+            b = new Type();
+
+            a.foo = 3;
+            expect(a.foo).to.be(3);
+            expect(b.foo).to.be(1);
+            expect(Type.prototype.bar).to.be(2);
+        });
+
+        it("should report every schema error at once", function() {
+            var obj = {},
+                err;
+
+            try {
+                prop.define(obj, {
+                    foo: "frobnicated",
+                    bar: {kind: "validated"},
+                    baz: {kind: "derived", derive: 42},
+                    qux: {kind: "basic", validator: function() {}},
+                    ok: {kind: "basic", value: 1}
+                });
+            } catch (e) {err = e;}
+
+            expect(err).to.be.a(prop.PropertySchemaError);
+            expect(err.errors).to.eql([
+                {property: "foo", message: "unknown kind \"frobnicated\""},
+                {property: "bar", message: "validated requires validator"},
+                {property: "baz", message: "derive must be a function"},
+                {property: "qux", message: "basic does not accept validator"}
+            ]);
+            expect(obj).to.not.have.property("ok");
+        });
+    });
+
+    describe(".jsonSchema", function() {
+        var schema = {
+            type: "object",
+            properties: {
+                name: {type: "string", minLength: 1, default: "anon"},
+                age: {type: "integer", minimum: 0, exclusiveMaximum: 150},
+                role: {enum: ["admin", "user"], default: "user"},
+                id: {type: "string", readOnly: true, default: "x1"},
+                address: {
+                    type: "object",
+                    properties: {
+                        zip: {type: "string", pattern: "^[0-9]+$"}
+                    }
+                }
+            }
+        };
+
+        it("should configure validated properties", function() {
+            var obj = {};
+
+            prop.jsonSchema(obj, schema);
+            expect(obj.name).to.be("anon");
+            expect(obj.role).to.be("user");
+
+            obj.name = "";          expect(obj.name).to.be("anon");
+            obj.name = "Bob";       expect(obj.name).to.be("Bob");
+            obj.age = 150;          expect(obj.age).to.be(undefined);
+            obj.age = 4.5;          expect(obj.age).to.be(undefined);
+            obj.age = 42;           expect(obj.age).to.be(42);
+            obj.role = "root";      expect(obj.role).to.be("user");
+        });
+
+        it("should configure readOnly properties", function() {
+            var obj = {};
+
+            prop.jsonSchema(obj, schema);
+            obj.id = "x2";
+            expect(obj.id).to.be("x1");
+            expect(Object.getOwnPropertyDescriptor(obj, "id").configurable)
+                .to.be(true);
+
+            prop.jsonSchema(obj = {}, schema, {readOnly: "attribute"});
+            expect(Object.getOwnPropertyDescriptor(obj, "id").configurable)
+                .to.be(false);
+        });
+
+        it("should report constraints readOnly defaults break", function() {
+            expect(prop.jsonSchema({}, {properties: {
+                id: {type: "string", readOnly: true, default: "x1"},
+                code: {type: "string", pattern: "^[a-z]+$", readOnly: true,
+                    default: "X"},
+                key: {type: "string", readOnly: true}
+            }})).to.eql([
+                {property: "code", keyword: "pattern"},
+                {property: "code", keyword: "type"},
+                {property: "key", keyword: "type"}
+            ]);
+        });
+
+        it("should check multipleOf allowing for rounding", function() {
+            var obj = {};
+
+            prop.jsonSchema(obj, {properties: {step: {multipleOf: 0.1}}});
+            obj.step = 0.3;         expect(obj.step).to.be(0.3);
+            obj.step = 0.35;        expect(obj.step).to.be(0.3);
+            obj.step = 7;           expect(obj.step).to.be(7);
+        });
+
+        it("should recurse into nested object schemas", function() {
+            var obj = {};
+
+            prop.jsonSchema(obj, schema);
+            obj.address.zip = "abc";
+            expect(obj.address.zip).to.be(undefined);
+            obj.address.zip = "12345";
+            expect(obj.address.zip).to.be("12345");
+
+            obj.address = {zip: "54321"};
+            obj.address.zip = "abc";
+            expect(obj.address.zip).to.be("54321");
+
+            obj.address = "abc";
+            expect(obj.address.zip).to.be("54321");
+        });
+
+        it("should report unsupported keywords", function() {
+            var obj = {},
+                unsupported;
+
+            unsupported = prop.jsonSchema(obj, {
+                additionalProperties: false,
+                properties: {foo: {type: "string", format: "email"}}
+            });
+
+            expect(unsupported).to.eql([
+                {property: "", keyword: "additionalProperties"},
+                {property: "foo", keyword: "format"}
+            ]);
+
+            expect(function() {
+                prop.jsonSchema({}, {
+                    properties: {foo: {format: "email"}}
+                }, {strict: true});
+            }).to.throwError(function(err) {
+                expect(err).to.be.a(prop.PropertySchemaError);
+            });
+        });
+
+        it("should update function prototype", function() {
+            var Type = function() {},
+                a, b;
+
+            prop.jsonSchema(Type, schema);
+            a = new Type();
+            b = new Type();
+
+            a.name = "Alice";
+            expect(a.name).to.be("Alice");
+            expect(b.name).to.be("anon");
+        });
+
+        it("should create nested objects for each instance", function() {
+            var Type = function() {},
+                a, b, c;
+
+            prop.jsonSchema(Type, {
+                properties: {
+                    address: {
+                        properties: {
+                            zip: {type: "string", pattern: "^[0-9]+$"},
+                            geo: {properties: {lat: {type: "number"}}}
+                        }
+                    },
+                    meta: {readOnly: true, properties: {
+                        tags: {default: []}
+                    }}
+                }
+            });
+
+            a = new Type();
+            b = new Type();
+            a.address.zip = "1";
+            a.address.geo.lat = 2;
+            expect(a.address).to.not.be(b.address);
+            expect(b.address.zip).to.be(undefined);
+            expect(b.address.geo).to.not.be(a.address.geo);
+            expect(b.address.geo.lat).to.be(undefined);
+            a.address.zip = "abc";
+            expect(a.address.zip).to.be("1");
+
+            a.meta.tags.push("foo");
+            expect(b.meta.tags).to.eql([]);
+            b.meta = {};
+            expect(b.meta.tags).to.eql([]);
+
+            c = new Type();
+            c.address = {zip: "2"};
+            expect(c.address.zip).to.be("2");
+            expect(a.address.zip).to.be("1");
+        });
+
+        it("should create nested objects for each plain object", function() {
+            var schema = {properties: {
+                    address: {properties: {geo: {properties: {}}}}
+                }},
+                a = {},
+                b = {};
+
+            prop.jsonSchema(a, schema);
+            prop.jsonSchema(b, schema);
+            expect(a.address.geo).to.not.be(b.address.geo);
+        });
+    });
+
+    describe(".kind", function() {
+        it("should identify presets by their flags", function() {
+            var obj = {};
+
+            ["attribute", "basic", "field", "hidden", "internal", "locked",
+                "readonly", "setting"].forEach(function(fn) {
+                    prop[fn](obj, fn, 1);
+                    expect(prop.kind(obj, fn)).to.eql({kind: fn});
+                });
+        });
+
+        it("should identify derived and managed properties", function() {
+            var obj = {},
+                getter = function() {},
+                setter = function() {};
+
+            prop.derived(obj, "foo", getter);
+            expect(prop.kind(obj, "foo")).to.eql({
+                kind: "derived",
+                derive: getter
+            });
+
+            prop.managed(obj, "bar", setter, getter);
+            expect(prop.kind(obj, "bar")).to.eql({
+                kind: "managed",
+                get: getter,
+                set: setter
+            });
+
+            Object.defineProperty(obj, "baz", {get: getter});
+            expect(prop.kind(obj, "baz").kind).to.be("accessor");
+        });
+
+        it("should identify pipeline properties", function() {
+            var obj = {},
+                validator = function() {return true;},
+                normalizer = function(val) {return val;},
+                trigger = function() {},
+                info;
+
+            prop.validated(obj, "foo", validator, {strict: true});
+            prop.normalized(obj, "foo", normalizer);
+            prop.triggered(obj, "foo", trigger);
+            info = prop.kind(obj, "foo");
+
+            expect(info.kind).to.be("triggered");
+            expect(info.validators).to.eql([validator]);
+            expect(info.normalizers).to.eql([normalizer]);
+            expect(info.triggers).to.eql([trigger]);
+        });
+
+        it("should identify inherited properties", function() {
+            var Type = function() {};
+
+            prop.validated(Type, "foo", function() {return true;});
+            expect(prop.kind(new Type(), "foo").kind).to.be("validated");
+            expect(prop.kind(Type, "foo").kind).to.be("validated");
+        });
+
+        it("should return undefined for missing properties", function() {
+            expect(prop.kind({}, "foo")).to.be(undefined);
+        });
+    });
+
+    describe(".inspect", function() {
+        it("should list own and inherited properties", function() {
+            var proto = {foo: 1, bar: 2},
+                obj = Object.create(proto),
+                rows;
+
+            prop.locked(obj, "foo", 3);
+            rows = prop.inspect(obj);
+
+            expect(rows.map(function(row) {
+                return [row.name, row.depth, row.kind, row.shadowed];
+            })).to.eql([
+                ["foo", 0, "locked", false],
+                ["foo", 1, "basic", true],
+                ["bar", 1, "basic", false]
+            ]);
+            expect(rows[0].owner).to.be(obj);
+            expect(rows[1].owner).to.be(proto);
+            expect(rows[0].configurable).to.be(false);
+            expect(rows[1].writable).to.be(true);
+        });
+
+        it("should optionally include Object.prototype", function() {
+            var rows = prop.inspect({}, {builtins: true});
+
+            expect(rows.some(function(row) {
+                return row.name === "toString"
+                    && row.owner === Object.prototype;
+            })).to.be(true);
+        });
+
+        it("should include symbol keys", function() {
+            var key = Symbol("foo"),
+                obj = {};
+
+            obj[key] = 42;
+            expect(prop.inspect(obj)[0].name).to.be(key);
+            expect(String(prop.inspect(obj))).to.contain("Symbol(foo)");
+        });
+
+        it("should format rows as text", function() {
+            var obj = {foo: 1};
+
+            prop.derived(obj, "bar", function() {return 2;});
+            expect(String(prop.inspect(obj))).to.be([
+                "name  owner  flags  kind",
+                "foo   own    cew    basic",
+                "bar   own    c--    derived"
+            ].join("\n"));
+        });
+    });
+
+    describe(".batch", function() {
+        it("should coalesce notifications until function returns", function() {
+            var obj = {foo: 1, bar: 1},
+                trigger = sinon.spy(),
+                records = [];
+
+            prop.triggered(obj, "foo", trigger);
+            prop.observe(obj, ["foo", "bar"], function(record) {
+                records.push(record);
+            });
+
+            expect(prop.batch(function() {
+                obj.foo = 2;
+                obj.bar = 2;
+                obj.foo = 3;
+                expect(trigger.callCount).to.be(0);
+                return 42;
+            })).to.be(42);
+
+            expect(trigger.callCount).to.be(1);
+            expect(trigger.calledWith(3, 1)).to.be(true);
+            expect(records.map(function(record) {
+                return [record.name, record.oldValue, record.newValue];
+            })).to.eql([["foo", 1, 3], ["bar", 1, 2]]);
+        });
+
+        it("should deliver once for each property", function() {
+            var obj = {foo: 0, bar: 0},
+                trigger = sinon.spy();
+
+            prop.triggered(obj, "foo", trigger);
+            prop.triggered(obj, "bar", trigger);
+            prop.batch(function() {
+                obj.foo = 1;
+                obj.bar = 2;
+            });
+
+            expect(trigger.callCount).to.be(2);
+            expect(trigger.calledWith(1, 0)).to.be(true);
+            expect(trigger.calledWith(2, 0)).to.be(true);
+        });
+
+        it("should deliver every notification if one throws", function() {
+            var obj = {foo: 0, bar: 0},
+                error = new Error("foo"),
+                trigger = sinon.spy();
+
+            prop.triggered(obj, "foo", function() {throw error;});
+            prop.triggered(obj, "bar", trigger);
+
+            expect(function() {
+                prop.batch(function() {
+                    obj.foo = 1;
+                    obj.bar = 2;
+                });
+            }).to.throwError(function(err) {
+                expect(err).to.be(error);
+            });
+            expect(trigger.calledWith(2, 0)).to.be(true);
+        });
+
+        it("should deliver nested batches with the outermost", function() {
+            var obj = {foo: 1},
+                trigger = sinon.spy();
+
+            prop.triggered(obj, "foo", trigger);
+            prop.batch(function() {
+                prop.batch(function() {obj.foo = 2;});
+                expect(trigger.callCount).to.be(0);
+            });
+
+            expect(trigger.callCount).to.be(1);
+        });
+
+        it("should deliver once for each object", function() {
+            var Type = function() {},
+                trigger = sinon.spy(),
+                a = new Type(),
+                b = new Type();
+
+            prop.triggered(Type, "foo", trigger);
+            prop.batch(function() {
+                a.foo = 1;
+                b.foo = 2;
+                a.foo = 3;
+            });
+
+            expect(trigger.callCount).to.be(2);
+            expect(trigger.firstCall.calledOn(a)).to.be(true);
+            expect(trigger.firstCall.calledWith(3)).to.be(true);
+        });
+
+        it("should deliver notifications when function throws", function() {
+            var obj = {foo: 1},
+                trigger = sinon.spy();
+
+            prop.triggered(obj, "foo", trigger);
+            expect(function() {
+                prop.batch(function() {
+                    obj.foo = 2;
+                    throw new Error("oops");
+                });
+            }).to.throwError();
+
+            expect(trigger.callCount).to.be(1);
+        });
+
+        it("should keep computed properties current", function() {
+            var obj = {foo: 1};
+
+            prop.computed(obj, "bar", ["foo"], function() {
+                return this.foo * 2;
+            });
+            prop.batch(function() {
+                expect(obj.bar).to.be(2);
+                obj.foo = 2;
+                expect(obj.bar).to.be(4);
+            });
+        });
+    });
+
+    describe(".history", function() {
+        it("should skip non-configurable properties by default", function() {
+            var obj = {foo: 1},
+                log;
+
+            prop.attribute(obj, "bar", 2);
+            prop.field(obj, "baz", 3);
+            log = prop.history(obj);
+            obj.foo = 4;
+            obj.baz = 5;
+            log.undo();
+            expect(obj.foo).to.be(1);
+            expect(obj.baz).to.be(5);
+            expect(log.canUndo).to.be(false);
+        });
+
+        it("should keep read-only properties read-only", function() {
+            var obj = {foo: 1},
+                log;
+
+            prop.readonly(obj, "bar", 2);
+            log = prop.history(obj);
+            obj.bar = 3;
+            expect(obj.bar).to.be(2);
+            expect(log.canUndo).to.be(false);
+            expect(Object.keys(obj)).to.eql(["foo", "bar"]);
+        });
+
+        it("should undo and redo updates", function() {
+            var obj = {foo: 1},
+                log = prop.history(obj, "foo");
+
+            obj.foo = 2;
+            obj.foo = 3;
+            expect(log.canUndo).to.be(true);
+            expect(log.canRedo).to.be(false);
+
+            expect(log.undo()).to.be(true);     expect(obj.foo).to.be(2);
+            expect(log.undo()).to.be(true);     expect(obj.foo).to.be(1);
+            expect(log.undo()).to.be(false);    expect(obj.foo).to.be(1);
+            expect(log.redo()).to.be(true);     expect(obj.foo).to.be(2);
+
+            obj.foo = 4;
+            expect(log.canRedo).to.be(false);
+            log.undo();
+            expect(obj.foo).to.be(2);
+        });
+
+        it("should record values after validation and normalization",
+            function() {
+                var obj = {},
+                    log;
+
+                prop.validated(obj, "foo", 0, function(val) {
+                    return val >= 0;
+                });
+                prop.normalized(obj, "foo", Number);
+                log = prop.history(obj, "foo");
+
+                obj.foo = "5";
+                obj.foo = -1;
+                expect(obj.foo).to.be(5);
+                log.undo();
+                expect(obj.foo).to.be(0);
+                log.redo();
+                expect(obj.foo).to.be(5);
+            }
+        );
+
+        it("should record a batch as one step", function() {
+            var obj = {foo: 1, bar: 1},
+                log = prop.history(obj);
+
+            prop.batch(function() {
+                obj.foo = 2;
+                obj.bar = 2;
+                obj.foo = 3;
+            });
+            obj.bar = 3;
+
+            log.undo();
+            expect([obj.foo, obj.bar]).to.eql([3, 2]);
+            log.undo();
+            expect([obj.foo, obj.bar]).to.eql([1, 1]);
+            expect(log.canUndo).to.be(false);
+        });
+
+        it("should group updates until checkpoint in manual mode", function() {
+            var obj = {foo: 1},
+                log = prop.history(obj, ["foo"], {manual: true});
+
+            obj.foo = 2;
+            obj.foo = 3;
+            log.checkpoint();
+            obj.foo = 4;
+
+            log.undo();
+            expect(obj.foo).to.be(3);
+            log.undo();
+            expect(obj.foo).to.be(1);
+        });
+
+        it("should limit depth", function() {
+            var obj = {foo: 1},
+                log = prop.history(obj, "foo", {depth: 2});
+
+            obj.foo = 2;
+            obj.foo = 3;
+            obj.foo = 4;
+
+            log.undo();
+            log.undo();
+            expect(log.undo()).to.be(false);
+            expect(obj.foo).to.be(2);
+        });
+
+        it("should stop recording", function() {
+            var obj = {foo: 1},
+                log = prop.history(obj, "foo");
+
+            log.stop();
+            obj.foo = 2;
+            expect(log.canUndo).to.be(false);
+        });
+    });
+
+    describe(".snapshot", function() {
+        it("should capture own descriptors", function() {
+            var obj = {foo: 1},
+                snap;
+
+            prop.readonly(obj, "bar", 2);
+            snap = prop.snapshot(obj);
+
+            expect(snap).to.eql([
+                {property: "foo", descriptor: {
+                    configurable: true,
+                    enumerable: true,
+                    writable: true,
+                    value: 1
+                }},
+                {property: "bar", descriptor: {
+                    configurable: true,
+                    enumerable: true,
+                    writable: false,
+                    value: 2
+                }}
+            ]);
+        });
+
+        it("should capture pipeline backing values", function() {
+            var obj = {};
+
+            prop.validated(obj, "foo", 42, function() {return true;});
+            expect(prop.snapshot(obj)[0].backing).to.be(42);
+        });
+
+        it("should capture inherited pipeline backing values", function() {
+            var Type = function() {},
+                obj = new Type();
+
+            prop.triggered(Type, "foo", function() {});
+            prop.triggered(Type, "bar", function() {});
+            obj.foo = 5;
+
+            expect(prop.snapshot(obj)).to.eql([
+                {property: "foo", inherited: true, backing: 5},
+                {property: "bar", inherited: true}
+            ]);
+        });
+    });
+
+    describe(".restore", function() {
+        it("should restore values and descriptors", function() {
+            var obj = {foo: 1},
+                snap;
+
+            prop.validated(obj, "bar", 2, function(val) {return val > 0;});
+            snap = prop.snapshot(obj);
+
+            prop.readonly(obj, "foo", 3);
+            obj.bar = 4;
+            obj.baz = 5;
+
+            expect(prop.restore(obj, snap)).to.eql([]);
+            expect(obj.foo).to.be(1);
+            expect(obj.bar).to.be(2);
+            expect(obj).to.not.have.property("baz");
+            expect(prop.describe(obj, "foo").writable).to.be(true);
+
+            obj.bar = -1;
+            expect(obj.bar).to.be(2);
+        });
+
+        it("should report properties which cannot be restored", function() {
+            var obj = {foo: 1},
+                snap = prop.snapshot(obj);
+
+            prop.locked(obj, "foo", 2);
+            prop.attribute(obj, "bar", 3);
+
+            expect(prop.restore(obj, snap)).to.eql([
+                {property: "foo", message: "cannot restore property foo"},
+                {property: "bar", message: "cannot remove property bar"}
+            ]);
+            expect(obj.foo).to.be(2);
+        });
+
+        it("should restore inherited pipeline backing values", function() {
+            var Type = function() {},
+                obj = new Type(),
+                snap;
+
+            prop.triggered(Type, "foo", function() {});
+            prop.triggered(Type, "bar", function() {});
+            obj.foo = 5;
+            snap = prop.snapshot(obj);
+
+            obj.foo = 9;
+            obj.bar = 2;
+            prop.hidden(obj, "foo", 3);
+
+            expect(prop.restore(obj, snap)).to.eql([]);
+            expect(obj).to.not.have.own.property("foo");
+            expect(obj.foo).to.be(5);
+            expect(obj.bar).to.be(undefined);
+            expect(new Type().foo).to.be(undefined);
+        });
+    });
+
+    describe(".serialize", function() {
+        function Foo() {
+            this.foo = 42;
+        }
+
+        prop.triggered(Foo, "bar", function() {});
+        prop.managed(Foo, "baz", function() {}, function() {return 23;});
+        prop.derived(Foo, "double", function() {return this.foo * 2;});
+        Foo.prototype.method = function() {};
+        Foo.prototype.shared = 1;
+
+        it("should include accessor-backed values", function() {
+            var obj = new Foo();
+
+            obj.bar = 13;
+            expect(prop.serialize(obj)).to.eql({foo: 42, bar: 13, baz: 23});
+            expect(JSON.parse(JSON.stringify(prop.serialize(obj))))
+                .to.eql({foo: 42, bar: 13, baz: 23});
+        });
+
+        it("should optionally exclude accessor-backed values", function() {
+            expect(prop.serialize(new Foo(), {accessors: false}))
+                .to.eql({foo: 42});
+        });
+
+        it("should optionally include derived values", function() {
+            var obj = {foo: 21};
+
+            prop.derived(obj, "double", function() {return this.foo * 2;});
+            prop.computed(obj, "triple", ["foo"], function() {
+                return this.foo * 3;
+            });
+            expect(prop.serialize(obj)).to.eql({foo: 21});
+            expect(prop.serialize(obj, {derived: true}))
+                .to.eql({foo: 21, double: 42, triple: 63});
+        });
+
+        it("should optionally include hidden values", function() {
+            var obj = {foo: 42};
+
+            prop.hidden(obj, "bar", 13);
+            prop.locked(obj, "baz", 23);
+            prop.hidden(obj, Symbol("qux"), 1);
+            expect(prop.serialize(obj)).to.eql({foo: 42});
+            expect(prop.serialize(obj, {hidden: true}))
+                .to.eql({foo: 42, bar: 13, baz: 23});
+        });
+
+        it("should skip plain accessors and inherited data", function() {
+            var obj = Object.create({inherited: 1, get bar() {return 13;}});
+
+            obj.foo = 42;
+            Object.defineProperty(obj, "baz", {
+                enumerable: true,
+                get: function() {return 23;}
+            });
+            expect(prop.serialize(obj)).to.eql({foo: 42, baz: 23});
+        });
+    });
+
+    describe(".hydrate", function() {
+        it("should assign values through setters", function() {
+            var obj = {},
+                trigger = sinon.spy();
+
+            prop.normalized(obj, "foo", Number);
+            prop.triggered(obj, "bar", trigger);
+            expect(prop.hydrate(obj, {foo: "42", bar: 13, baz: 23}))
+                .to.eql([]);
+            expect(obj.foo).to.be(42);
+            expect(trigger.calledWith(13)).to.be(true);
+            expect(obj.baz).to.be(23);
+        });
+
+        it("should validate values", function() {
+            var obj = {};
+
+            prop.validated(obj, "foo", 1, function(val) {return val > 0;});
+            prop.validated(obj, "bar", 1, function(val) {
+                return val > 0 || "too small";
+            }, {strict: true});
+
+            expect(prop.hydrate(obj, {foo: -1, bar: -1})).to.eql([
+                {property: "bar", message: "too small"}
+            ]);
+            expect(obj.foo).to.be(1);
+            expect(obj.bar).to.be(1);
+        });
+
+        it("should skip and report read-only properties", function() {
+            var obj = {},
+                errors;
+
+            prop.locked(obj, "foo", 1);
+            prop.attribute(obj, "bar", 2);
+            prop.derived(obj, "baz", function() {return 3;}, {strict: true});
+            prop.derived(obj, "qux", function() {return this.quux;},
+                function(val) {this.quux = val;});
+
+            errors = prop.hydrate(obj, {foo: 4, bar: 5, baz: 6, qux: 7});
+            expect(errors.map(function(error) {
+                return error.property;
+            })).to.eql(["foo", "bar", "baz"]);
+            expect(errors[0].message)
+                .to.be("cannot assign to locked property foo");
+            expect(obj.foo).to.be(1);
+            expect(obj.bar).to.be(2);
+            expect(obj.qux).to.be(7);
+        });
+
+        it("should round trip with serialize", function() {
+            var a, b;
+
+            function Foo() {}
+            prop.normalized(Foo, "foo", 0, Number);
+            prop.triggered(Foo, "bar", function() {});
+
+            a = new Foo();
+            b = new Foo();
+            a.foo = "42";
+            a.bar = 13;
+            prop.hydrate(b, JSON.parse(JSON.stringify(prop.serialize(a))));
+            expect(b.foo).to.be(42);
+            expect(b.bar).to.be(13);
+        });
+    });
+
+    describe(".describe", function() {
+        it("should return own property descriptor", function() {
+            var obj = {foo:42},
+                desc = prop.describe(obj, "foo");
+
+            expect(desc.value).to.be(42);
+            expect(desc.writable).to.be(true);
+            expect(desc.configurable).to.be(true);
+            expect(desc.enumerable).to.be(true);
+        });
+
+        it("should return inherited property descriptor", function() {
+            var proto = {foo:42},
+                obj = Object.create(proto),
+                desc = prop.describe(obj, "foo"),
+                ownDesc = Object.getOwnPropertyDescriptor(obj, "foo");
+
+            expect(ownDesc).to.be(undefined);
+            expect(desc).to.be.an("object");
+            expect(desc.value).to.be(42);
+            expect(desc.writable).to.be(true);
+            expect(desc.configurable).to.be(true);
             expect(desc.enumerable).to.be(true);
         });
+
+        it("should stop before Object.prototype by default", function() {
+            expect(prop.describe({}, "toString")).to.be(undefined);
+            expect(prop.describe({}, "toString", {builtins: true}).value)
+                .to.be(Object.prototype.toString);
+        });
+
+        it("should handle null-prototype objects", function() {
+            var proto = Object.create(null),
+                obj = Object.create(proto);
+
+            proto.foo = 42;
+            expect(prop.describe(obj, "foo").value).to.be(42);
+            expect(prop.describe(obj, "bar")).to.be(undefined);
+            expect(prop.describe(obj, "bar", {builtins: true}))
+                .to.be(undefined);
+
+            prop.readonly(obj, "foo");
+            expect(Object.getOwnPropertyDescriptor(obj, "foo").writable)
+                .to.be(false);
+        });
+
+        it("should accept symbol keys", function() {
+            var key = Symbol("foo"),
+                obj = Object.create({});
+
+            Object.getPrototypeOf(obj)[key] = 42;
+            expect(prop.describe(obj, key).value).to.be(42);
+        });
+
+        it("should optionally return the owner", function() {
+            var proto = {foo: 42},
+                obj = Object.create(proto),
+                found = prop.describe(obj, "foo", {owner: true});
+
+            expect(found.owner).to.be(proto);
+            expect(found.descriptor.value).to.be(42);
+            expect(prop.describe(obj, "bar", {owner: true})).to.be(undefined);
+        });
     });
 });
 
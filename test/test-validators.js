@@ -0,0 +1,128 @@
+var prop = require(".."),
+    validators = prop.validators,
+    expect = require("expect.js");
+
+describe("propertize.validators", function() {
+    describe(".type", function() {
+        it("should accept values of listed types", function() {
+            var validate = validators.type("string", "null");
+
+            expect(validate("foo")).to.be(true);
+            expect(validate(null)).to.be(true);
+            expect(validate(42)).to.be("expected string or null");
+        });
+
+        it("should recognize array and integer types", function() {
+            expect(validators.type("array")([])).to.be(true);
+            expect(validators.type("array")({})).to.be.a("string");
+            expect(validators.type("integer")(42)).to.be(true);
+            expect(validators.type("integer")(4.2)).to.be.a("string");
+        });
+    });
+
+    describe(".instance", function() {
+        it("should accept instances of constructor", function() {
+            var validate = validators.instance(Date);
+
+            expect(validate(new Date())).to.be(true);
+            expect(validate(Date.now())).to.be("expected instance of Date");
+        });
+    });
+
+    describe(".range", function() {
+        it("should accept numbers within inclusive range", function() {
+            var validate = validators.range(0, 100);
+
+            expect(validate(0)).to.be(true);
+            expect(validate(100)).to.be(true);
+            expect(validate(101)).to.be("expected number from 0 to 100");
+            expect(validate("50")).to.be.a("string");
+            expect(validate(NaN)).to.be.a("string");
+            expect(validators.range()(NaN)).to.be.a("string");
+        });
+
+        it("should support open ranges", function() {
+            expect(validators.range(0)(1e9)).to.be(true);
+            expect(validators.range(null, 0)(-1e9)).to.be(true);
+            expect(validators.range(0)(-1)).to.be("expected number of at least 0");
+        });
+    });
+
+    describe(".length", function() {
+        it("should accept values with length within range", function() {
+            var validate = validators.length(1, 3);
+
+            expect(validate("foo")).to.be(true);
+            expect(validate([1])).to.be(true);
+            expect(validate("")).to.be("expected length from 1 to 3");
+            expect(validate(42)).to.be.a("string");
+        });
+    });
+
+    describe(".oneOf", function() {
+        it("should accept listed values", function() {
+            var validate = validators.oneOf(["a", "b"]);
+
+            expect(validate("a")).to.be(true);
+            expect(validate("c")).to.be("expected one of a, b");
+        });
+    });
+
+    describe(".pattern", function() {
+        it("should accept strings matching pattern", function() {
+            var validate = validators.pattern(/^\d+$/g);
+
+            expect(validate("42")).to.be(true);
+            expect(validate("42")).to.be(true);
+            expect(validate("4a")).to.be.a("string");
+            expect(validators.pattern("^a")("abc")).to.be(true);
+        });
+    });
+
+    describe(".and", function() {
+        it("should accept values accepted by every validator", function() {
+            var validate = validators.and(
+                validators.type("integer"),
+                validators.range(0, 10)
+            );
+
+            expect(validate(5)).to.be(true);
+            expect(validate(5.5)).to.be("expected integer");
+            expect(validate(50)).to.be("expected number from 0 to 10");
+        });
+    });
+
+    describe(".or", function() {
+        it("should accept values accepted by any validator", function() {
+            var validate = validators.or(
+                validators.type("null"),
+                validators.range(0, 10)
+            );
+
+            expect(validate(null)).to.be(true);
+            expect(validate(5)).to.be(true);
+            expect(validate(50)).to.be(
+                "expected null; expected number from 0 to 10"
+            );
+        });
+    });
+
+    describe(".not", function() {
+        it("should accept values rejected by validator", function() {
+            var validate = validators.not(validators.oneOf([""]));
+
+            expect(validate("foo")).to.be(true);
+            expect(validate("")).to.be("unexpected value");
+        });
+    });
+
+    it("should plug into validated properties", function() {
+        var obj = {};
+
+        prop.validated(obj, "foo", 50, validators.range(0, 100));
+        obj.foo = 150;
+        expect(obj.foo).to.be(50);
+        obj.foo = 75;
+        expect(obj.foo).to.be(75);
+    });
+});
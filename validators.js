@@ -0,0 +1,201 @@
+/**
+ * Validator factories for use with propertize validated properties.  Every
+ * validator returns true for a valid value, or a message describing why the
+ * value was rejected.
+ */
+
+/**
+ * Return a slice of an arguments object as an array.
+ * @param {Arguments} args
+ * @returns {Array}
+ */
+function list(args) {
+    return Array.prototype.slice.call(args);
+}
+
+/**
+ * Check whether a value has the named type.  In addition to typeof names,
+ * "null", "array", and "integer" are recognized, "object" excludes null, and
+ * "number" excludes NaN.
+ * @param {*} val
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function isType(val, expected) {
+    switch (expected) {
+        case "null": return val === null;
+        case "array": return Array.isArray(val);
+        case "integer": return typeof val === "number" && val % 1 === 0;
+        case "object": return typeof val === "object" && val !== null;
+        case "number": return typeof val === "number" && !isNaN(val);
+        default: return typeof val === expected;
+    }
+}
+
+/**
+ * Create a validator which accepts values of one or more types.
+ * @param {...string} types
+ * @returns {function}
+ */
+function type() {
+    var types = list(arguments);
+
+    return function(val) {
+        return types.some(function(expected) {return isType(val, expected);})
+            || "expected " + types.join(" or ");
+    };
+}
+
+/**
+ * Create a validator which accepts instances of a constructor.
+ * @param {function} Type
+ * @returns {function}
+ */
+function instance(Type) {
+    return function(val) {
+        return val instanceof Type
+            || "expected instance of " + (Type.name || "type");
+    };
+}
+
+/**
+ * Create a validator which accepts numbers within an inclusive range.  Either
+ * bound may be null or undefined to leave that end of the range open.
+ * @param {number} [min]
+ * @param {number} [max]
+ * @returns {function}
+ */
+function range(min, max) {
+    return function(val) {
+        return typeof val === "number" && !isNaN(val)
+            && !(min != null && val < min)
+            && !(max != null && val > max)
+            || "expected number" + describeRange(min, max);
+    };
+}
+
+/**
+ * Create a validator which accepts strings, arrays, or other values with a
+ * length within an inclusive range.  Either bound may be null or undefined.
+ * @param {number} [min]
+ * @param {number} [max]
+ * @returns {function}
+ */
+function length(min, max) {
+    return function(val) {
+        return val != null && typeof val.length === "number"
+            && !(min != null && val.length < min)
+            && !(max != null && val.length > max)
+            || "expected length" + describeRange(min, max);
+    };
+}
+
+/**
+ * Describe an inclusive range for use in a message.
+ * @param {number} [min]
+ * @param {number} [max]
+ * @returns {string}
+ */
+function describeRange(min, max) {
+    if (min != null && max != null) return " from " + min + " to " + max;
+    if (min != null) return " of at least " + min;
+    if (max != null) return " of at most " + max;
+    return "";
+}
+
+/**
+ * Create a validator which accepts only the listed values.
+ * @param {Array} values
+ * @returns {function}
+ */
+function oneOf(values) {
+    return function(val) {
+        return values.indexOf(val) >= 0
+            || "expected one of " + values.map(String).join(", ");
+    };
+}
+
+/**
+ * Create a validator which accepts strings matching a regular expression.
+ * @param {RegExp|string} regex
+ * @returns {function}
+ */
+function pattern(regex) {
+    regex = regex instanceof RegExp ? regex : new RegExp(regex);
+
+    return function(val) {
+        regex.lastIndex = 0;
+        return typeof val === "string" && regex.test(val)
+            || "expected string matching " + regex;
+    };
+}
+
+/**
+ * Create a validator which accepts values accepted by every validator.
+ * @param {...function} validators
+ * @returns {function}
+ */
+function and() {
+    var validators = list(arguments);
+
+    return function(val) {
+        var result = true,
+            i;
+
+        for (i = 0; i < validators.length && result === true; i++) {
+            result = validators[i].call(this, val);
+        }
+
+        return result;
+    };
+}
+
+/**
+ * Create a validator which accepts values accepted by any validator.
+ * @param {...function} validators
+ * @returns {function}
+ */
+function or() {
+    var validators = list(arguments);
+
+    return function(val) {
+        var messages = [],
+            result,
+            i;
+
+        for (i = 0; i < validators.length; i++) {
+            result = validators[i].call(this, val);
+            if (result === true) return true;
+            if (typeof result === "string") messages.push(result);
+        }
+
+        return messages.join("; ") || false;
+    };
+}
+
+/**
+ * Create a validator which accepts values rejected by another validator.
+ * @param {function} validator
+ * @param {string} [message]
+ * @returns {function}
+ */
+function not(validator, message) {
+    return function(val) {
+        return validator.call(this, val) !== true
+            || message || "unexpected value";
+    };
+}
+
+/** export validator factories */
+module.exports = {
+    type: type,
+    instance: instance,
+    range: range,
+    length: length,
+    oneOf: oneOf,
+    pattern: pattern,
+
+    and: and,
+    or: or,
+    not: not
+};